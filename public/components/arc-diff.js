@@ -0,0 +1,52 @@
+/**
+ * Arc Diff
+ * Structural diff of two /arc-data payloads, by node type (see arc-node-types.js)
+ */
+
+import { getNodeTypes } from './arc-node-types.js';
+
+/**
+ * A node's identity across reloads: its type and label (e.g. a route's method and path)
+ */
+export function nodeKey(nodeType, item) {
+  return `${nodeType.type}:${nodeType.label(item)}`;
+}
+
+/**
+ * Added, removed, and modified nodes between two sets of Arc data
+ * @param {object} before - Previous Arc data
+ * @param {object} after - New Arc data
+ * @returns {{ type: string, key: string, label: string, change: 'added'|'removed'|'modified', item: object }[]}
+ */
+export function diffArcData(before = {}, after = {}) {
+  const changes = [];
+
+  getNodeTypes().forEach(nodeType => {
+    const index = (arcData) => new Map(nodeType.items(arcData).map(item => [nodeKey(nodeType, item), item]));
+    const previous = index(before);
+    const next = index(after);
+    const change = (key, item, kind) => changes.push({ type: nodeType.type, key, label: nodeType.label(item), change: kind, item });
+
+    next.forEach((item, key) => {
+      if (!previous.has(key)) change(key, item, 'added');
+      else if (JSON.stringify(previous.get(key)) !== JSON.stringify(item)) change(key, item, 'modified');
+    });
+    previous.forEach((item, key) => {
+      if (!next.has(key)) change(key, item, 'removed');
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * A one-line summary of a diff, e.g. '1 added, 2 modified'
+ */
+export function summarizeDiff(changes) {
+  const counts = ['added', 'removed', 'modified']
+    .map(kind => [kind, changes.filter(({ change }) => change === kind).length])
+    .filter(([, count]) => count > 0);
+  return counts.length ? counts.map(([kind, count]) => `${count} ${kind}`).join(', ') : 'No structural changes';
+}
+
+export default diffArcData;
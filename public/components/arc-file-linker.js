@@ -1,64 +1,59 @@
 /**
  * Arc File Linker
- * Maps Arc nodes to their corresponding source files
+ * Maps Arc nodes to their source files, as resolved by inventory in /arc-data (see each node type's `file` in arc-node-types.js)
  */
 
+import { getNodeType } from './arc-node-types.js';
+
 /**
- * Get the file path for a given Arc node
- * @param {string} nodeType - 'route', 'lambda', or 'table'
- * @param {string} nodeName - Name or path of the node
- * @returns {string} Path to the source file
+ * Architect's function folder name for a route path
+ * Mirrors @architect/utils getLambdaName: '/' -> '-index', '-' and '.' -> '_', '/' -> '-', ':' -> '000', '*' -> 'catchall'
  */
-export function getLinkPath(nodeType, nodeName) {
-  switch (nodeType) {
-    case 'route':
-      // Routes map to src/http/{functionName}
-      // Format: "GET /api/users" -> "src/http/get-api-users"
-      return routeToPath(nodeName);
-    
-    case 'lambda':
-      // Lambdas map to src/lambdas/{name}
-      return `src/lambdas/${nodeName}`;
-    
-    case 'table':
-      // Tables map to src/tables/{name}.ts
-      return `src/tables/${nodeName}.ts`;
-    
-    default:
-      return null;
-  }
+export function lambdaName(path) {
+  if (path === '/') return '-index';
+  return path
+    .replace(/[-.]/g, '_')
+    .replace(/[/\\]/g, '-')
+    .replace(/:/g, '000')
+    .replace(/\*/, 'catchall');
 }
 
 /**
- * Convert route definition to file path
- * Format: "GET /api/users" -> "src/http/get-api-users/index.mjs"
+ * A route's default source folder, e.g. 'get /docs/:lang/*' -> 'src/http/get-docs-000lang-catchall'
  */
-function routeToPath(routeDefinition) {
-  // routeDefinition format: "GET /path" or just "/path"
-  const parts = routeDefinition.trim().split(/\s+/);
-  let method = 'get';
-  let path = routeDefinition;
-
-  if (parts.length === 2) {
-    method = parts[0].toLowerCase();
-    path = parts[1];
-  }
+export function routeSrc(method, path) {
+  return `src/http/${method.toLowerCase()}${lambdaName(path)}`;
+}
 
-  // Convert path to folder name: /api/users -> api-users
-  const pathSegments = path
-    .split('/')
-    .filter(Boolean)
-    .join('-')
-    .toLowerCase();
+/**
+ * Get the file path for a given Arc node
+ * @param {string} nodeType - Node type, e.g. 'route' or 'table'
+ * @param {object|string} item - The node's /arc-data item (or, for routes, a 'GET /path' string)
+ * @param {object} [arcData] - Arc data the item came from
+ * @returns {string|null} Path to the source file, relative to the project
+ */
+export function getLinkPath(nodeType, item, arcData = {}) {
+  if (typeof item === 'string') {
+    if (nodeType !== 'route') return null;
+    const [method, path] = item.trim().split(/\s+/);
+    return path ? routeSrc(method, path) : routeSrc('get', method);
+  }
+  return getNodeType(nodeType)?.file?.(item, arcData) || null;
+}
 
-  return `src/http/${method}-${pathSegments}/index.mjs`;
+/**
+ * Paths to try for a node, most specific first: its file, then its function's folder
+ */
+export function getLinkCandidates(nodeType, item, arcData = {}) {
+  const paths = [getLinkPath(nodeType, item, arcData), item?.src].filter(Boolean);
+  return [...new Set(paths)];
 }
 
 /**
  * Get a clickable link element for a node
  */
-export function createLinkElement(nodeType, nodeName, onLinkClick) {
-  const linkPath = getLinkPath(nodeType, nodeName);
+export function createLinkElement(nodeType, item, onLinkClick, arcData) {
+  const linkPath = getLinkPath(nodeType, item, arcData);
   const a = document.createElement('a');
   a.href = '#';
   a.className = 'arc-link';
@@ -79,12 +74,14 @@ export function createLinkElement(nodeType, nodeName, onLinkClick) {
 }
 
 /**
- * Check if a file exists (client-side check via fetch)
+ * Check if a project file (or folder) exists, via GET /api/file-exists
  */
 export async function checkFileExists(filePath) {
   try {
     const response = await fetch(`/api/file-exists?path=${encodeURIComponent(filePath)}`);
-    return response.ok;
+    if (!response.ok) return false;
+    const { exists } = await response.json();
+    return exists;
   } catch (err) {
     console.error('Error checking file:', err);
     return false;
@@ -97,7 +94,6 @@ export async function checkFileExists(filePath) {
 export class ArcFileLinker {
   constructor(options = {}) {
     this.onLinkClick = options.onLinkClick || this.defaultLinkHandler;
-    this.cache = new Map();
   }
 
   /**
@@ -111,22 +107,27 @@ export class ArcFileLinker {
   /**
    * Get link for a node
    */
-  getLink(nodeType, nodeName) {
-    const key = `${nodeType}:${nodeName}`;
-    if (this.cache.has(key)) {
-      return this.cache.get(key);
-    }
+  getLink(nodeType, item, arcData) {
+    return getLinkPath(nodeType, item, arcData);
+  }
 
-    const link = getLinkPath(nodeType, nodeName);
-    this.cache.set(key, link);
-    return link;
+  /**
+   * The first of a node's candidate paths that exists, e.g. its function's folder when the handler hasn't been written (or built) yet
+   * @returns {Promise<{ path: string|null, exists: boolean }>}
+   */
+  async resolve(nodeType, item, arcData) {
+    const candidates = getLinkCandidates(nodeType, item, arcData);
+    for (const path of candidates) {
+      if (await checkFileExists(path)) return { path, exists: true };
+    }
+    return { path: candidates[0] || null, exists: false };
   }
 
   /**
    * Create a link element
    */
-  createLink(nodeType, nodeName) {
-    return createLinkElement(nodeType, nodeName, this.onLinkClick);
+  createLink(nodeType, item, arcData) {
+    return createLinkElement(nodeType, item, this.onLinkClick, arcData);
   }
 
   /**
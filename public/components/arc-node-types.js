@@ -0,0 +1,196 @@
+/**
+ * Arc Node Types
+ * Registry of what the Arc Viewer shows: each node type gets a group, icon, toggle, and search support
+ */
+
+const nodeTypes = new Map();
+
+// Pragmas with a node type of their own; any other function (e.g. from a plugin) is listed under Lambdas
+const lambdaPragmas = ['events', 'queues', 'scheduled', 'ws', 'tables-streams'];
+
+const byPragma = (pragma) => (arcData) => (arcData.lambdas || []).filter(lambda => lambda.pragma === pragma);
+
+// Functions link to their handler (resolved by inventory for the function's runtime), or failing that their folder
+const handlerFile = (lambda) => lambda.handlerFile || lambda.src;
+
+// Everything else is defined in the manifest
+const manifestFile = (item, arcData) => arcData.manifest;
+
+const keyLabel = (name, type, sort) => name ? `${name} ${sort ? '**' : '*'}${type}` : null;
+
+/**
+ * Register a node type (or replace one with the same `type`)
+ * @param {object} definition
+ * @param {string} definition.type - Node type, e.g. 'route'
+ * @param {string} definition.key - Group key in /arc-data-shaped results, e.g. 'routes'
+ * @param {string} definition.group - Group label, e.g. 'Routes'
+ * @param {string} definition.icon - Icon shown beside each node
+ * @param {(arcData: object) => object[]} definition.items - The type's items in /arc-data
+ * @param {(item: object) => string} definition.label - Node label
+ * @param {(item: object) => string} [definition.detail] - Secondary text, e.g. a schedule or source folder
+ * @param {(item: object) => string} [definition.copy] - Value for the node's copy button, if it has one
+ * @param {(item: object, arcData: object) => string} [definition.file] - Project file the node links to, e.g. its handler
+ */
+export function registerNodeType(definition) {
+  const { type, key, group, icon, items, label } = definition;
+  if (!type || !key || !group || !icon || typeof items !== 'function' || typeof label !== 'function') {
+    throw new TypeError('Node types need a type, key, group, icon, items(arcData), and label(item)');
+  }
+  nodeTypes.set(type, { detail: () => '', ...definition });
+}
+
+/**
+ * Node types, in the order they were registered
+ */
+export function getNodeTypes() {
+  return [...nodeTypes.values()];
+}
+
+/**
+ * A node type by name
+ */
+export function getNodeType(type) {
+  return nodeTypes.get(type);
+}
+
+/**
+ * A node's searchable text: its label and detail
+ */
+export function searchText(nodeType, item) {
+  return [nodeType.label(item), nodeType.detail(item)].filter(Boolean).join(' ');
+}
+
+registerNodeType({
+  type: 'route',
+  key: 'routes',
+  group: 'Routes',
+  icon: '🛣️',
+  items: (arcData) => arcData.routes || [],
+  label: (route) => `${route.method} ${route.path}`,
+  detail: (route) => route.src,
+  copy: (route) => `${route.method} ${route.path}`,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'event',
+  key: 'events',
+  group: 'Events',
+  icon: '📣',
+  items: byPragma('events'),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => lambda.src,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'queue',
+  key: 'queues',
+  group: 'Queues',
+  icon: '📬',
+  items: byPragma('queues'),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => lambda.src,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'scheduled',
+  key: 'scheduled',
+  group: 'Scheduled',
+  icon: '⏰',
+  items: byPragma('scheduled'),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => lambda.schedule,
+  copy: (lambda) => lambda.schedule,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'ws',
+  key: 'ws',
+  group: 'WebSockets',
+  icon: '🔌',
+  items: byPragma('ws'),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => lambda.src,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'lambda',
+  key: 'lambdas',
+  group: 'Lambdas',
+  icon: '⚡',
+  items: (arcData) => (arcData.lambdas || []).filter(lambda => !lambdaPragmas.includes(lambda.pragma)),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => lambda.src,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'table',
+  key: 'tables',
+  group: 'Tables',
+  icon: '📊',
+  items: (arcData) => arcData.tables || [],
+  label: (table) => table.name,
+  detail: (table) => [
+    keyLabel(table.partitionKey, table.partitionKeyType),
+    keyLabel(table.sortKey, table.sortKeyType, true),
+  ].filter(Boolean).join(', '),
+  file: manifestFile,
+});
+
+registerNodeType({
+  type: 'index',
+  key: 'indexes',
+  group: 'Table indexes',
+  icon: '🔎',
+  items: (arcData) => (arcData.tables || []).flatMap(table => (table.indexes || []).map(index => ({ ...index, table: table.name }))),
+  label: (index) => `${index.table}: ${index.name || index.partitionKey}`,
+  detail: (index) => [
+    keyLabel(index.partitionKey, index.partitionKeyType),
+    keyLabel(index.sortKey, index.sortKeyType, true),
+  ].filter(Boolean).join(', '),
+  file: manifestFile,
+});
+
+registerNodeType({
+  type: 'stream',
+  key: 'streams',
+  group: 'Table streams',
+  icon: '🌊',
+  items: byPragma('tables-streams'),
+  label: (lambda) => lambda.name,
+  detail: (lambda) => `${lambda.table} → ${lambda.src}`,
+  file: handlerFile,
+});
+
+registerNodeType({
+  type: 'static',
+  key: 'static',
+  group: 'Static assets',
+  icon: '🗂️',
+  items: (arcData) => arcData.static ? [arcData.static] : [],
+  label: (settings) => settings.folder,
+  detail: (settings) => [
+    settings.fingerprint && 'fingerprinted',
+    settings.spa && 'SPA',
+    settings.prefix && `prefix: ${settings.prefix}`,
+  ].filter(Boolean).join(', '),
+  file: (settings) => settings.folder,
+});
+
+registerNodeType({
+  type: 'plugin',
+  key: 'plugins',
+  group: 'Plugins',
+  icon: '🧩',
+  items: (arcData) => arcData.plugins || [],
+  label: (plugin) => plugin.name,
+  detail: (plugin) => (plugin.hooks || []).join(', '),
+  file: manifestFile,
+});
+
+export default registerNodeType;
@@ -1,8 +1,10 @@
 /**
  * Arc Search Module
- * Fuzzy search for routes, lambdas, and tables in Arc Viewer
+ * Fuzzy search for every node type in Arc Viewer (see arc-node-types.js)
  */
 
+import { getNodeTypes, searchText } from './arc-node-types.js';
+
 // Import Fuse.js for fuzzy search
 // Note: This assumes Fuse is available globally via <script> tag or module import
 
@@ -26,32 +28,14 @@ export class ArcSearch {
     // Flatten Arc data into searchable items
     const items = [];
 
-    if (arcData.routes) {
-      items.push(...arcData.routes.map(route => ({
-        type: 'route',
-        name: `${route.method} ${route.path}`,
-        path: route.path,
-        method: route.method,
-        functionName: route.functionName,
-        searchText: `${route.method} ${route.path} ${route.functionName}`,
+    getNodeTypes().forEach(nodeType => {
+      items.push(...nodeType.items(arcData).map(item => ({
+        ...item,
+        type: nodeType.type,
+        name: nodeType.label(item),
+        searchText: searchText(nodeType, item),
       })));
-    }
-
-    if (arcData.lambdas) {
-      items.push(...arcData.lambdas.map(lambda => ({
-        type: 'lambda',
-        name: lambda.name,
-        searchText: lambda.name,
-      })));
-    }
-
-    if (arcData.tables) {
-      items.push(...arcData.tables.map(table => ({
-        type: 'table',
-        name: table.name,
-        searchText: table.name,
-      })));
-    }
+    });
 
     // Create Fuse instance
     try {
@@ -103,19 +87,13 @@ export class ArcSearch {
    */
   getGroupedResults(query) {
     const results = this.search(query);
-    const grouped = {
-      routes: [],
-      lambdas: [],
-      tables: [],
-    };
+    const nodeTypes = getNodeTypes();
+    const grouped = Object.fromEntries(nodeTypes.map(nodeType => [nodeType.key, []]));
 
     results.forEach(item => {
-      if (item.type === 'route') {
-        grouped.routes.push(item);
-      } else if (item.type === 'lambda') {
-        grouped.lambdas.push(item);
-      } else if (item.type === 'table') {
-        grouped.tables.push(item);
+      const nodeType = nodeTypes.find(({ type }) => type === item.type);
+      if (nodeType) {
+        grouped[nodeType.key].push(item);
       }
     });
 
@@ -143,37 +121,16 @@ export function search(arcData, query, options = {}) {
  * Simple substring search (no Fuse dependency)
  */
 export function simpleSearch(arcData, query) {
+  const nodeTypes = getNodeTypes();
   if (!query || query.trim() === '') {
-    return { routes: [], lambdas: [], tables: [] };
+    return Object.fromEntries(nodeTypes.map(nodeType => [nodeType.key, []]));
   }
 
   const lowerQuery = query.toLowerCase();
-  const results = {
-    routes: [],
-    lambdas: [],
-    tables: [],
-  };
-
-  if (arcData.routes) {
-    results.routes = arcData.routes.filter(route => {
-      const searchText = `${route.method} ${route.path} ${route.functionName}`.toLowerCase();
-      return searchText.includes(lowerQuery);
-    });
-  }
-
-  if (arcData.lambdas) {
-    results.lambdas = arcData.lambdas.filter(lambda =>
-      lambda.name.toLowerCase().includes(lowerQuery)
-    );
-  }
-
-  if (arcData.tables) {
-    results.tables = arcData.tables.filter(table =>
-      table.name.toLowerCase().includes(lowerQuery)
-    );
-  }
-
-  return results;
+  return Object.fromEntries(nodeTypes.map(nodeType => [
+    nodeType.key,
+    nodeType.items(arcData).filter(item => searchText(nodeType, item).toLowerCase().includes(lowerQuery)),
+  ]));
 }
 
 export default ArcSearch;
@@ -3,17 +3,26 @@
  * Renders an interactive tree view of Arc file structure using react-arborist
  */
 
+import { getNodeType, getNodeTypes } from './arc-node-types.js';
+import { diffArcData, nodeKey, summarizeDiff } from './arc-diff.js';
+
 export class ArcTreeViewer {
   constructor(options = {}) {
     this.container = options.container || document.body;
     this.arcData = options.arcData || {};
     this.onNodeClick = options.onNodeClick || (() => {});
     this.onSearch = options.onSearch || (() => {});
-    this.toggleStates = {
-      routes: true,
-      lambdas: true,
-      tables: true,
-    };
+    // Node types are shown unless toggled off (see arc-node-types.js)
+    this.toggleStates = {};
+    // Group ids the user collapsed, kept across updates
+    this.collapsed = new Set();
+    // The latest update's changes: node key -> 'added' | 'modified', plus removed nodes (shown struck through)
+    this.changes = new Map();
+    this.removed = [];
+    // Recent updates, newest first
+    this.changelog = [];
+    this.maxChangelog = options.maxChangelog || 10;
+    this.changelogOpen = false;
   }
 
   /**
@@ -29,49 +38,75 @@ export class ArcTreeViewer {
   }
 
   /**
-   * Convert Arc data to tree structure
+   * Update the viewer with new Arc data, highlighting what changed
+   * Unlike init(), keeps collapsed groups, search, and scroll position
+   * @returns {object[]} The changes (see arc-diff.js)
    */
-  buildTree() {
-    const tree = [];
-
-    if (this.toggleStates.routes && this.arcData.routes?.length > 0) {
-      tree.push({
-        id: 'routes-group',
-        name: 'Routes',
-        children: this.arcData.routes.map((route, idx) => ({
-          id: `route-${idx}`,
-          name: `${route.method} ${route.path}`,
-          path: route.path,
-          method: route.method,
-          functionName: route.functionName,
-          type: 'route',
-        })),
-      });
+  update(arcData) {
+    const changes = diffArcData(this.arcData, arcData);
+    this.arcData = arcData;
+    this.changes = new Map(changes.filter(({ change }) => change !== 'removed').map(({ key, change }) => [key, change]));
+    this.removed = changes.filter(({ change }) => change === 'removed');
+    if (changes.length) {
+      this.changelog.unshift({ time: new Date(), changes });
+      this.changelog.length = Math.min(this.changelog.length, this.maxChangelog);
     }
+    this.rerender();
+    return changes;
+  }
 
-    if (this.toggleStates.lambdas && this.arcData.lambdas?.length > 0) {
-      tree.push({
-        id: 'lambdas-group',
-        name: 'Lambdas',
-        children: this.arcData.lambdas.map((lambda, idx) => ({
-          id: `lambda-${idx}`,
-          name: lambda.name,
-          type: 'lambda',
-        })),
-      });
+  /**
+   * Re-render in place, restoring search and scroll position
+   */
+  rerender() {
+    const treeContainer = this.container.querySelector('.tree-container');
+    const query = this.container.querySelector('.search-input')?.value || '';
+    const scrollTop = treeContainer?.scrollTop || 0;
+    const { scrollX, scrollY } = window;
+
+    this.render();
+    this.setupEventListeners();
+
+    if (query) {
+      this.container.querySelector('.search-input').value = query;
+      this.filterTree(query);
     }
+    this.container.querySelector('.tree-container').scrollTop = scrollTop;
+    window.scrollTo(scrollX, scrollY);
+  }
+
+  /**
+   * Convert Arc data to tree structure: a group per node type with items
+   */
+  buildTree() {
+    const tree = [];
 
-    if (this.toggleStates.tables && this.arcData.tables?.length > 0) {
+    getNodeTypes().forEach(nodeType => {
+      const items = nodeType.items(this.arcData);
+      const removed = this.removed.filter(({ type }) => type === nodeType.type);
+      if (this.toggleStates[nodeType.type] === false || items.length + removed.length === 0) return;
       tree.push({
-        id: 'tables-group',
-        name: 'Tables',
-        children: this.arcData.tables.map((table, idx) => ({
-          id: `table-${idx}`,
-          name: table.name,
-          type: 'table',
-        })),
+        id: `${nodeType.type}-group`,
+        name: nodeType.group,
+        children: [
+          ...items.map((item, idx) => ({
+            id: `${nodeType.type}-${idx}`,
+            name: nodeType.label(item),
+            detail: nodeType.detail(item),
+            copy: nodeType.copy?.(item),
+            type: nodeType.type,
+            change: this.changes.get(nodeKey(nodeType, item)),
+          })),
+          ...removed.map(({ item }, idx) => ({
+            id: `${nodeType.type}-removed-${idx}`,
+            name: nodeType.label(item),
+            detail: nodeType.detail(item),
+            type: nodeType.type,
+            change: 'removed',
+          })),
+        ],
       });
-    }
+    });
 
     return tree;
   }
@@ -81,29 +116,57 @@ export class ArcTreeViewer {
    */
   render() {
     const tree = this.buildTree();
+    // Only types this project has get a toggle
+    const toggles = getNodeTypes()
+      .filter(nodeType => nodeType.items(this.arcData).length > 0)
+      .map(nodeType => `<label><input type="checkbox" class="toggle-type" data-type="${nodeType.type}"${this.toggleStates[nodeType.type] === false ? '' : ' checked'}> ${nodeType.group}</label>`)
+      .join('');
 
     const html = `
       <div class="arc-tree-viewer">
         <div class="tree-header">
           <h2>Arc Viewer</h2>
           <div class="tree-controls">
-            <label><input type="checkbox" class="toggle-routes" checked> Routes</label>
-            <label><input type="checkbox" class="toggle-lambdas" checked> Lambdas</label>
-            <label><input type="checkbox" class="toggle-tables" checked> Tables</label>
+            ${toggles}
           </div>
         </div>
         <div class="tree-search">
-          <input type="text" class="search-input" placeholder="Search routes, lambdas, tables..." />
+          <input type="text" class="search-input" placeholder="Search routes, functions, tables..." />
         </div>
         <div class="tree-container">
           ${this.renderTreeNodes(tree)}
         </div>
+        ${this.renderChangelog()}
       </div>
     `;
 
     this.container.innerHTML = html;
   }
 
+  /**
+   * Render the changelog panel of recent updates
+   */
+  renderChangelog() {
+    if (this.changelog.length === 0) return '';
+    const symbols = { added: '+', removed: '−', modified: '~' };
+    const entries = this.changelog.map(({ time, changes }) => `
+      <li>
+        <time datetime="${time.toISOString()}">${time.toLocaleTimeString()}</time>
+        ${summarizeDiff(changes)}
+        <ul>
+          ${changes.map(({ type, label, change }) => `<li class="tree-changelog-${change}">${symbols[change]} ${this.escapeHtml(getNodeType(type)?.group || type)}: ${this.escapeHtml(label)}</li>`).join('')}
+        </ul>
+      </li>
+    `).join('');
+
+    return `
+      <details class="tree-changelog"${this.changelogOpen ? ' open' : ''}>
+        <summary>Recent changes (${this.changelog.length})</summary>
+        <ol>${entries}</ol>
+      </details>
+    `;
+  }
+
   /**
    * Render tree nodes recursively
    */
@@ -126,16 +189,19 @@ export class ArcTreeViewer {
     const hasChildren = node.children && node.children.length > 0;
     const icon = this.getNodeIcon(node.type);
     const isGroup = node.id && node.id.includes('-group');
+    const classes = ['tree-node', isGroup && 'tree-group', node.change && `tree-${node.change}`].filter(Boolean).join(' ');
 
     return `
-      <li class="tree-node ${isGroup ? 'tree-group' : ''}" data-node-id="${node.id}">
+      <li class="${classes}" data-node-id="${node.id}">
         <div class="tree-node-content" data-node-id="${node.id}">
           ${hasChildren ? '<span class="tree-toggle">▼</span>' : '<span class="tree-toggle-empty">•</span>'}
           <span class="tree-icon">${icon}</span>
           <span class="tree-label">${this.escapeHtml(node.name)}</span>
-          ${!isGroup && node.type === 'route' ? `<button class="copy-btn" data-value="${node.method} ${node.path}" title="Copy route">📋</button>` : ''}
+          ${node.detail ? `<span class="tree-detail">${this.escapeHtml(node.detail)}</span>` : ''}
+          ${node.change ? `<span class="tree-change">${node.change}</span>` : ''}
+          ${!isGroup && node.copy ? `<button class="copy-btn" data-value="${this.escapeHtml(node.copy)}" title="Copy ${this.escapeHtml(node.copy)}">📋</button>` : ''}
         </div>
-        ${hasChildren ? `<div class="tree-children">${this.renderTreeNodes(node.children, depth + 1)}</div>` : ''}
+        ${hasChildren ? `<div class="tree-children${this.collapsed.has(node.id) ? ' collapsed' : ''}">${this.renderTreeNodes(node.children, depth + 1)}</div>` : ''}
       </li>
     `;
   }
@@ -144,12 +210,7 @@ export class ArcTreeViewer {
    * Get icon for node type
    */
   getNodeIcon(type) {
-    const icons = {
-      route: '🛣️',
-      lambda: '⚡',
-      table: '📊',
-    };
-    return icons[type] || '📄';
+    return getNodeType(type)?.icon || '📄';
   }
 
   /**
@@ -163,7 +224,9 @@ export class ArcTreeViewer {
         const li = e.target.closest('li');
         const children = li.querySelector('.tree-children');
         if (children) {
-          children.classList.toggle('collapsed');
+          const collapsed = children.classList.toggle('collapsed');
+          if (collapsed) this.collapsed.add(li.dataset.nodeId);
+          else this.collapsed.delete(li.dataset.nodeId);
         }
       });
     });
@@ -202,24 +265,21 @@ export class ArcTreeViewer {
       });
     });
 
-    // Toggles for routes, lambdas, tables
-    this.container.querySelector('.toggle-routes')?.addEventListener('change', (e) => {
-      this.toggleStates.routes = e.target.checked;
-      this.render();
-      this.setupEventListeners();
-    });
-
-    this.container.querySelector('.toggle-lambdas')?.addEventListener('change', (e) => {
-      this.toggleStates.lambdas = e.target.checked;
-      this.render();
-      this.setupEventListeners();
+    // Toggles for each node type
+    this.container.querySelectorAll('.toggle-type').forEach(toggle => {
+      toggle.addEventListener('change', (e) => {
+        this.toggleStates[e.target.dataset.type] = e.target.checked;
+        this.rerender();
+      });
     });
 
-    this.container.querySelector('.toggle-tables')?.addEventListener('change', (e) => {
-      this.toggleStates.tables = e.target.checked;
-      this.render();
-      this.setupEventListeners();
-    });
+    // Changelog
+    const changelog = this.container.querySelector('.tree-changelog');
+    if (changelog) {
+      changelog.addEventListener('toggle', () => {
+        this.changelogOpen = changelog.open;
+      });
+    }
 
     // Search
     const searchInput = this.container.querySelector('.search-input');
@@ -241,7 +301,8 @@ export class ArcTreeViewer {
       const label = node.querySelector('.tree-label');
       if (!label) return;
 
-      const text = label.textContent.toLowerCase();
+      const detail = node.querySelector('.tree-detail');
+      const text = `${label.textContent} ${detail?.textContent || ''}`.toLowerCase();
       const matches = text.includes(query.toLowerCase());
 
       node.style.display = matches || query === '' ? '' : 'none';
@@ -284,23 +345,10 @@ export class ArcTreeViewer {
    * Get a node by ID
    */
   getNode(nodeId) {
-    const routes = this.arcData.routes || [];
-    const lambdas = this.arcData.lambdas || [];
-    const tables = this.arcData.tables || [];
-
-    if (nodeId.startsWith('route-')) {
-      const idx = parseInt(nodeId.split('-')[1]);
-      return { type: 'route', data: routes[idx] };
-    }
-    if (nodeId.startsWith('lambda-')) {
-      const idx = parseInt(nodeId.split('-')[1]);
-      return { type: 'lambda', data: lambdas[idx] };
-    }
-    if (nodeId.startsWith('table-')) {
-      const idx = parseInt(nodeId.split('-')[1]);
-      return { type: 'table', data: tables[idx] };
-    }
-    return null;
+    const [, type, idx] = nodeId.match(/^(.+)-(\d+)$/) || [];
+    const nodeType = getNodeType(type);
+    if (!nodeType) return null;
+    return { type, data: nodeType.items(this.arcData)[parseInt(idx)] };
   }
 }
 
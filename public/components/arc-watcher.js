@@ -1,6 +1,8 @@
 /**
  * Arc File Watcher
- * Watches app.arc file for changes and triggers live reload
+ * Watches the Architect project for changes and triggers live reload
+ * - In Sandbox, listens for server-sent events from the arc-updates plugin (advertised in /arc-data's x-arc-updates header)
+ * - Otherwise, polls /arc-data with If-None-Match, so unchanged data is a 304 rather than a full download
  */
 
 export class ArcWatcher {
@@ -8,60 +10,74 @@ export class ArcWatcher {
     this.onArcChanged = options.onArcChanged || (() => {});
     this.arcDataUrl = options.arcDataUrl || '/arc-data';
     this.pollInterval = options.pollInterval || 2000; // 2 seconds
-    this.lastData = null;
+    // Connection errors in a row before giving up on push updates, e.g. when the arc-updates plugin couldn't start its server
+    this.maxErrors = options.maxErrors || 3;
+    this.lastEtag = null;
+    this.updatesUrl = null;
     this.isWatching = false;
     this.pollTimeout = null;
+    this.eventSource = null;
     this.listeners = new Map();
   }
 
   /**
    * Start watching for Arc file changes
    */
-  start() {
+  async start() {
     if (this.isWatching) return;
     this.isWatching = true;
     console.log('Arc Watcher: Starting...');
-    
-    // Try WebSocket first, fall back to polling
-    this.tryWebSocketConnection();
+
+    // Learn the current ETag (and whether push updates are available), unless getCurrentData() already has
+    if (!this.lastEtag) await this.getCurrentData();
+    if (!this.isWatching) return;
+
+    if (this.updatesUrl && typeof EventSource !== 'undefined') {
+      this.listen();
+    } else {
+      this.startPolling();
+    }
   }
 
   /**
-   * Attempt WebSocket connection for real-time updates
+   * Listen for server-sent change notifications
    */
-  tryWebSocketConnection() {
-    try {
-      const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const ws = new WebSocket(`${protocol}//${window.location.host}/arc-updates`);
-
-      ws.addEventListener('open', () => {
-        console.log('Arc Watcher: WebSocket connected');
-        this.emit('connected');
-      });
-
-      ws.addEventListener('message', (event) => {
-        const data = JSON.parse(event.data);
-        if (data.type === 'arc-changed') {
-          console.log('Arc Watcher: Arc file changed via WebSocket');
-          this.handleArcChanged(data.arcData);
-        }
-      });
-
-      ws.addEventListener('error', () => {
-        console.log('Arc Watcher: WebSocket failed, falling back to polling');
-        this.startPolling();
-      });
-
-      ws.addEventListener('close', () => {
-        console.log('Arc Watcher: WebSocket closed, reconnecting...');
-        if (this.isWatching) {
-          setTimeout(() => this.tryWebSocketConnection(), 5000);
-        }
-      });
-    } catch (err) {
-      console.warn('Arc Watcher: WebSocket not available, using polling');
+  listen() {
+    const source = new EventSource(this.updatesUrl);
+    this.eventSource = source;
+    let errors = 0;
+
+    source.addEventListener('open', () => {
+      errors = 0;
+      console.log('Arc Watcher: Listening for updates');
+      this.emit('connected', { mode: 'push' });
+      // Catch anything that changed while we were (re)connecting
+      this.check();
+    });
+
+    source.addEventListener('message', (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      // Sandbox may still be restarting, so give it another chance to answer
+      if (data.type === 'arc-changed') this.check({ retry: true });
+    });
+
+    source.addEventListener('error', () => {
+      // EventSource reconnects by itself (forever, if nothing is listening) unless it gave up
+      errors++;
+      if (source.readyState !== EventSource.CLOSED && errors < this.maxErrors) {
+        this.emit('disconnected');
+        return;
+      }
+      console.log('Arc Watcher: Updates unavailable, falling back to polling');
+      source.close();
+      this.eventSource = null;
       this.startPolling();
-    }
+    });
   }
 
   /**
@@ -69,35 +85,53 @@ export class ArcWatcher {
    */
   startPolling() {
     if (!this.isWatching) return;
+    if (!this.pollTimeout) this.emit('connected', { mode: 'polling' });
 
     this.pollTimeout = setTimeout(async () => {
-      try {
-        const response = await fetch(this.arcDataUrl);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        
-        const data = await response.json();
-        
-        // Check if data changed (simple hash comparison)
-        const hash = JSON.stringify(data);
-        if (this.lastData !== hash) {
-          console.log('Arc Watcher: Arc data changed via polling');
-          this.lastData = hash;
-          this.handleArcChanged(data);
-        }
-      } catch (error) {
-        console.error('Arc Watcher: Poll error:', error);
-      } finally {
-        this.startPolling();
-      }
+      await this.check();
+      this.startPolling();
     }, this.pollInterval);
   }
 
+  /**
+   * Revalidate Arc data, calling onArcChanged if it changed
+   * @param {object} [options]
+   * @param {boolean} [options.retry] - Try once more after pollInterval if the request fails
+   */
+  async check({ retry = false } = {}) {
+    try {
+      const data = await this.fetchData(true);
+      if (data) {
+        console.log('Arc Watcher: Arc data changed');
+        await this.handleArcChanged(data);
+      }
+    } catch (error) {
+      console.error('Arc Watcher: Poll error:', error);
+      if (retry && this.isWatching) setTimeout(() => this.check(), this.pollInterval);
+    }
+  }
+
+  /**
+   * Fetch Arc data, noting its ETag; conditional requests resolve to null when nothing changed
+   */
+  async fetchData(conditional) {
+    const headers = conditional && this.lastEtag ? { 'If-None-Match': this.lastEtag } : {};
+    // Bypass the browser cache so 304s reach us
+    const response = await fetch(this.arcDataUrl, { headers, cache: 'no-store' });
+    if (response.status === 304) return null;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    this.lastEtag = response.headers.get('etag');
+    this.updatesUrl = response.headers.get('x-arc-updates');
+    return response.json();
+  }
+
   /**
    * Handle Arc file changes
    */
   async handleArcChanged(newData) {
     this.emit('arc-changed', { arcData: newData });
-    
+
     if (this.onArcChanged) {
       try {
         await this.onArcChanged(newData);
@@ -117,6 +151,10 @@ export class ArcWatcher {
       clearTimeout(this.pollTimeout);
       this.pollTimeout = null;
     }
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
     console.log('Arc Watcher: Stopped');
   }
 
@@ -125,9 +163,7 @@ export class ArcWatcher {
    */
   async getCurrentData() {
     try {
-      const response = await fetch(this.arcDataUrl);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      return await response.json();
+      return await this.fetchData(false);
     } catch (error) {
       console.error('Arc Watcher: Failed to fetch Arc data:', error);
       return null;
@@ -161,10 +161,10 @@
       const searcher = new ArcSearch()
       const copier = new ArcCopy()
 
-      // Fetch initial Arc data
-      fetch('/arc-data')
-        .then(res => res.json())
+      // Fetch initial Arc data (through the watcher, so it knows the ETag to revalidate against)
+      watcher.getCurrentData()
         .then(data => {
+          if (!data) throw Error('No Arc data')
           viewer.init(data)
           searcher.init(data)
 
@@ -172,16 +172,17 @@
           viewer.onNodeClick = (nodeId) => {
             const node = viewer.getNode(nodeId)
             if (node) {
-              const linkPath = linker.getLink(node.type, node.data.name || node.data.path)
-              console.log('Node clicked:', { nodeId, node, linkPath })
+              linker.resolve(node.type, node.data, viewer.arcData)
+                .then(link => console.log('Node clicked:', { nodeId, node, link }))
             }
           }
 
           // Setup watcher
           watcher.onArcChanged = async (newData) => {
-            viewer.init(newData)
+            // Highlights what changed, keeping the tree's state
+            const changes = viewer.update(newData)
             searcher.init(newData)
-            console.log('Arc data updated')
+            console.log('Arc data updated:', changes)
           }
           watcher.start()
         })
@@ -0,0 +1,101 @@
+// Landing page manifest examples, made editable: the CloudFormation (and line counts) follow the manifest via /api/package
+// - Without JS, the prerendered examples are shown as-is
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+const getLoc = str => str.split('\n').filter(l => l !== '').length
+
+// Pretty JSON, highlighted with the same classes arcdown (highlight.js) uses for the prerendered examples
+function highlight (json) {
+  return escape(json).replace(/("(?:[^"\\]|\\.)*")(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g, (token, str, colon, literal) => {
+    if (str) return colon
+      ? `<span class="hljs-attr">${str}</span>${colon}`
+      : `<span class="hljs-string">${str}</span>`
+    return `<span class="hljs-${literal ? 'literal' : 'number'}">${token}</span>`
+  })
+}
+
+function attach (article) {
+  const manifest = article.querySelector('[data-example=arc]')
+  const output = article.querySelector('[data-example=cloudformation] code') || article.querySelector('[data-example=cloudformation] pre')
+  const arcLoc = article.querySelector('[data-loc=arc]')
+  const cfLoc = article.querySelector('[data-loc=cloudformation]')
+  const status = article.querySelector('[data-example=status]')
+  const pre = manifest.querySelector('pre')
+  const original = article.dataset.arc
+  const prerendered = { html: output.innerHTML, cfLoc: cfLoc.textContent }
+
+  const input = document.createElement('textarea')
+  input.className = `${pre.className} example-editor`
+  input.value = original
+  input.spellcheck = false
+  input.rows = original.split('\n').length + 1
+  input.setAttribute('aria-label', `${article.dataset.title} manifest`)
+  pre.replaceWith(input)
+
+  const reset = document.createElement('button')
+  reset.type = 'button'
+  reset.className = 'text-1 underline'
+  reset.textContent = 'Reset example'
+  reset.hidden = true
+  status.after(reset)
+
+  let timer
+  let pending
+  async function update () {
+    const arc = input.value
+    arcLoc.textContent = getLoc(arc)
+    reset.hidden = arc === original
+    // Only the latest edit's template is shown
+    pending?.abort()
+    if (arc === original) {
+      output.innerHTML = prerendered.html
+      cfLoc.textContent = prerendered.cfLoc
+      status.textContent = ''
+      return
+    }
+    pending = new AbortController()
+    status.textContent = 'Packaging…'
+    try {
+      const res = await fetch('/api/package', {
+        method: 'POST',
+        headers: { accept: 'application/json', 'content-type': 'application/json' },
+        body: JSON.stringify({ arc }),
+        signal: pending.signal,
+      })
+      const result = await res.json()
+      if (res.status === 429) {
+        status.textContent = 'Too many changes; try again in a minute.'
+        return
+      }
+      if (!res.ok) {
+        status.textContent = result.message || 'Could not package this manifest.'
+        return
+      }
+      const json = JSON.stringify(result.template, null, 2)
+      output.innerHTML = highlight(json)
+      cfLoc.textContent = getLoc(json).toLocaleString()
+      status.textContent = ''
+    }
+    catch (err) {
+      if (err.name !== 'AbortError') status.textContent = 'Could not reach the packager; showing the last template.'
+    }
+  }
+
+  input.addEventListener('input', () => {
+    input.rows = Math.max(input.value.split('\n').length + 1, 3)
+    clearTimeout(timer)
+    timer = setTimeout(update, 500)
+  })
+  reset.addEventListener('click', () => {
+    input.value = original
+    input.rows = original.split('\n').length + 1
+    clearTimeout(timer)
+    update()
+  })
+}
+
+document.querySelectorAll('article[data-title]').forEach(attach)
@@ -1,3 +1,13 @@
+import { renderCost } from './playground/cost.js'
+import { highlight, list } from './playground/diagnostics.js'
+import { diffTemplates, renderDiff } from './playground/diff.js'
+import { attachEditor } from './playground/editor.js'
+import { download } from './playground/export.js'
+import { buildGraph, renderGraph } from './playground/graph.js'
+import { iamReport, renderIam } from './playground/iam.js'
+import { jsonWithAnchors, setMode, showResource } from './playground/preview.js'
+import { readState, shareLink } from './playground/share.js'
+
 (function () {
 
   let btn = document.getElementById('pkg-submit')
@@ -9,26 +19,82 @@
   const shareBtn = document.getElementById('pkg-share')
   shareBtn.onclick = copyShare
 
+  for (const tab of document.querySelectorAll('[role=tab][data-mode]')) {
+    tab.onclick = () => setMode(tab.dataset.mode)
+  }
+
+  const formatSelect = document.getElementById('pkg-format')
+  formatSelect.onchange = convertManifest
+
+  const downloadSelect = document.getElementById('pkg-download')
+  downloadSelect.onchange = exportManifest
+
   const input = document.getElementById('pkg-input')
-  input.addEventListener('input', getPreview)
+  const backdrop = document.getElementById('pkg-highlights')
+  input.addEventListener('input', schedulePreview)
+  input.addEventListener('scroll', () => backdrop.scrollTop = input.scrollTop)
+  // Completions + hover docs are extras; the editor works without them
+  fetch('/api/pragmas')
+    .then(res => res.json())
+    .then(data => attachEditor(input, data))
+    .catch(err => console.error(err))
 
-  let query = new URLSearchParams(window.location.search)
-  let arc = query.get('arc')
-  if (!arc) {
-    arc = `@app\nmyapp\n\n@http\nget /`
-  }
+  const options = document.getElementById('pkg-options')
+  options.addEventListener('change', getPreview)
 
-  input.value = arc
-  getPreview()
+  const compare = document.getElementById('pkg-compare')
+  const before = document.getElementById('pkg-before')
+  compare.onchange = toggleCompare
+  before.addEventListener('input', schedulePreview)
+
+  load()
 }())
 
+async function load () {
+  const input = document.getElementById('pkg-input')
+  let state = {}
+  try {
+    state = await readState()
+  }
+  catch (err) {
+    console.error(err)
+  }
 
-function copyShare (e) {
+  input.value = state.arc || `@app\nmyapp\n\n@http\nget /`
+  const fields = document.getElementById('pkg-form').elements
+  for (const [ name, value ] of Object.entries(state.options || {})) {
+    if (fields[name]) fields[name].value = value
+  }
+  // Shared comparisons carry both sides
+  if (state.before) {
+    document.getElementById('pkg-before').value = state.before
+    document.getElementById('pkg-compare').checked = true
+    toggleCompare()
+  }
+  else getPreview()
+}
+
+// Compare mode adds a "before" manifest, and diffs its CloudFormation against the current one
+function toggleCompare () {
+  const on = document.getElementById('pkg-compare').checked
+  const before = document.getElementById('pkg-before')
+  document.getElementById('pkg-before-editor').hidden = !on
+  document.querySelector('[role=tab][data-mode=diff]').hidden = !on
+  if (on && !before.value) before.value = document.getElementById('pkg-input').value
+  setMode(on ? 'diff' : 'json')
+  getPreview()
+}
+
+async function copyShare (e) {
   e.preventDefault()
   let shareBtn = e.target
-  let input = document.getElementById('pkg-input')
-  let arc = input.value
-  let shareUrl = `${window.location}?arc=${encodeURIComponent(arc)}`
+  let state = { arc: document.getElementById('pkg-input').value }
+  if (document.getElementById('pkg-compare').checked) {
+    state.before = document.getElementById('pkg-before').value
+  }
+  let options = packageOptions()
+  if (Object.keys(options).length) state.options = options
+  let shareUrl = await shareLink(state)
   navigator.clipboard.writeText(shareUrl)
   shareBtn.innerHTML = 'Copied to clipboard'
   setTimeout(function resetButton () {
@@ -36,26 +102,157 @@ function copyShare (e) {
   }, 2000)
 }
 
+// Stage + @aws overrides; blank fields defer to the manifest
+function packageOptions () {
+  const fields = document.getElementById('pkg-form').elements
+  const options = {}
+  for (const name of [ 'stage', 'region', 'architecture', 'runtime' ]) {
+    const value = fields[name].value.trim()
+    if (value) options[name] = value
+  }
+  return options
+}
+
+// POST /api/package request options; `params` are extra body params (e.g. `to`), `accept` the representation wanted
+function packageRequest (arc, { params = {}, accept = 'application/json' } = {}) {
+  return {
+    method: 'POST',
+    headers: { accept, 'content-type': 'application/json' },
+    body: JSON.stringify({ arc, ...packageOptions(), ...params }),
+  }
+}
+
+// Resolves to the response body, plus its `status`
+async function fetchPackage (arc, params) {
+  const res = await fetch('/api/package', packageRequest(arc, { params }))
+  return { ...await res.json(), status: res.status }
+}
+
+// The last template previewed
+let current
+
+async function exportManifest (e) {
+  const type = e.target.value
+  e.target.value = ''
+  if (!type) return
+  try {
+    const arc = document.getElementById('pkg-input').value
+    await download(type, { request: accept => packageRequest(arc, { accept }), template: current })
+  }
+  catch (err) {
+    console.error(err)
+  }
+}
+
+// Previews once typing pauses, as each preview is a request (two when comparing), and /api/package is rate limited
+let previewTimer
+function schedulePreview () {
+  clearTimeout(previewTimer)
+  previewTimer = setTimeout(getPreview, 500)
+}
+
 async function getPreview () {
+  clearTimeout(previewTimer)
   const input = document.getElementById('pkg-input')
+  const before = document.getElementById('pkg-before')
+  const comparing = document.getElementById('pkg-compare').checked
   const arc = input.value
-  const url = `/api/package?arc=${btoa(arc)}`
+  const previous = before.value
   try {
-    let cfn = JSON.stringify(await (await fetch(url)).json(), null, 2)
-    update(cfn)
+    let [ result, beforeResult ] = await Promise.all([
+      fetchPackage(arc),
+      comparing ? fetchPackage(previous) : null,
+    ])
+    let { template, diagnostics = [], format, options, errors, message } = result
+    // Bail if either manifest changed while this request was in flight
+    if (input.value !== arc || before.value !== previous) return
+    showOptions(options, errors)
+    if (errors) return
+    // Rate limits, oversized manifests, and server errors have a message, but no template or diagnostics
+    const failed = [ result, beforeResult ].find(res => res && res.status >= 400 && !res.template && !res.diagnostics?.length)
+    showStatus(failed && `${failed.message}; showing the last preview.`)
+    if (failed) return
+    if (format) document.getElementById('pkg-format').value = format
+    showDiagnostics(diagnostics)
+    if (template) update(template)
+    else if (!diagnostics.length) console.error(message)
+    if (comparing) updateDiff(beforeResult, result)
   }
   catch (e) {
     console.error(e)
+    showStatus('Could not reach the packager; showing the last preview.')
+  }
+}
+
+// Problems with the request itself (not the manifest), e.g. being rate limited
+function showStatus (message) {
+  const status = document.getElementById('pkg-status')
+  status.hidden = !message
+  status.textContent = message || ''
+}
+
+function updateDiff (before, after) {
+  const container = document.getElementById('diff')
+  if (!before.template || !after.template) {
+    const side = !before.template ? 'before' : 'after'
+    container.innerHTML = `<p>The ${side} manifest has errors, so there's nothing to compare yet.</p>`
+    return
+  }
+  renderDiff(container, diffTemplates(before.template, after.template), { onSelect: showResource })
+}
+
+// Show which settings the template was packaged with, e.g. `Manifest (arm64)`
+function showOptions (options, errors) {
+  const fields = document.getElementById('pkg-form').elements
+  const problems = document.getElementById('pkg-options-errors')
+  problems.hidden = !errors
+  problems.textContent = errors ? errors.join('. ') : ''
+  if (!options) return
+  fields.region.placeholder = options.region
+  for (const name of [ 'architecture', 'runtime' ]) {
+    fields[name].options[0].textContent = options[name] ? `Manifest (${options[name]})` : 'Manifest'
   }
 }
 
+// Rewrite the manifest in the selected format (.arc, JSON, or YAML)
+async function convertManifest (e) {
+  const input = document.getElementById('pkg-input')
+  const to = e.target.value
+  try {
+    let { manifest, diagnostics = [], format } = await fetchPackage(input.value, { to })
+    if (manifest) {
+      input.value = manifest.text
+      getPreview()
+    }
+    else {
+      // Unparseable manifests can't be converted; show why, and keep the current format selected
+      e.target.value = format
+      showDiagnostics(diagnostics)
+    }
+  }
+  catch (err) {
+    console.error(err)
+  }
+}
+
+// Keep the last good preview on screen, and flag what's wrong with the manifest
+function showDiagnostics (diagnostics) {
+  const input = document.getElementById('pkg-input')
+  highlight(input, document.getElementById('pkg-highlights'), diagnostics)
+  list(document.getElementById('diagnostics'), input, diagnostics)
+}
+
 function submit (e) {
   e.preventDefault()
   getPreview()
 }
 
-function update (cfn) {
+function update (template) {
+  current = template
   const preview = document.getElementById('preview')
-  preview.innerHTML = cfn
+  preview.innerHTML = jsonWithAnchors(template)
+  renderGraph(document.getElementById('graph'), buildGraph(template), { onSelect: showResource })
+  renderCost(document.getElementById('cost'), template, { onSelect: showResource })
+  renderIam(document.getElementById('iam'), iamReport(template), { onSelect: showResource })
 }
 
@@ -0,0 +1,216 @@
+// Monthly cost estimates for a CloudFormation template, from traffic assumptions and the bundled price table
+import prices from './prices.js'
+
+// Traffic assumptions, per month unless noted otherwise
+export const assumptionFields = [
+  { name: 'httpRequests', label: 'HTTP requests', value: 1000000 },
+  { name: 'duration', label: 'Avg. function duration (ms)', value: 100 },
+  { name: 'eventsPublished', label: '@events published', value: 100000 },
+  { name: 'queueMessages', label: '@queues messages', value: 100000 },
+  { name: 'wsMessages', label: 'WebSocket messages', value: 0 },
+  { name: 'wsConnectionMinutes', label: 'WebSocket connection minutes', value: 0 },
+  { name: 'dynamoReads', label: 'DynamoDB reads', value: 2000000 },
+  { name: 'dynamoWrites', label: 'DynamoDB writes', value: 500000 },
+  { name: 'dynamoStorage', label: 'DynamoDB storage (GB)', value: 1 },
+  { name: 'staticStorage', label: 'Static asset storage (GB)', value: 1 },
+  { name: 'staticRequests', label: 'Static asset requests', value: 100000 },
+  { name: 'cdnTransfer', label: 'CDN data transfer (GB)', value: 10 },
+]
+
+export const defaultAssumptions = Object.fromEntries(assumptionFields.map(({ name, value }) => [ name, value ]))
+
+const million = 1000000
+const daysPerMonth = 30
+
+// How many values a cron field matches, e.g. `*/15` in minutes → 4
+function cronValues (field, size, start = 0) {
+  if (field === '*' || field === '?') return size
+  return field.split(',').reduce((total, part) => {
+    const [ range, step ] = part.split('/')
+    if (step) {
+      const from = range === '*' ? start : Number(range.split('-')[0])
+      return total + Math.ceil((size + start - from) / Number(step))
+    }
+    const [ a, b ] = range.split('-')
+    if (b === undefined) return total + 1
+    // Ranges may be named (e.g. MON-FRI)
+    const days = [ 'SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT' ]
+    const index = value => isNaN(value) ? days.indexOf(value.toUpperCase()) : Number(value)
+    return total + (index(b) - index(a) + 1)
+  }, 0)
+}
+
+// Invocations per month for an EventBridge schedule expression; cron expressions are approximate
+export function scheduledInvocations (expression = '') {
+  const rate = expression.match(/^rate\((\d+)\s+(minutes?|hours?|days?)\)$/)
+  if (rate) {
+    const minutes = { minute: 1, hour: 60, day: 60 * 24 }[rate[2].replace(/s$/, '')] * Number(rate[1])
+    return Math.round((daysPerMonth * 24 * 60) / minutes)
+  }
+  const cron = expression.match(/^cron\((.+)\)$/)
+  if (cron) {
+    const [ minutes, hours, dayOfMonth, , dayOfWeek ] = cron[1].trim().split(/\s+/)
+    const days = dayOfMonth !== '*' && dayOfMonth !== '?'
+      ? cronValues(dayOfMonth, 31, 1)
+      : Math.round(cronValues(dayOfWeek, 7) * (daysPerMonth / 7))
+    return cronValues(minutes, 60) * cronValues(hours, 24) * Math.min(days, daysPerMonth)
+  }
+  return 0
+}
+
+// Arc names function resources after what invokes them, e.g. GetIndexHTTPLambda, HiEventLambda
+const triggers = [
+  [ /HTTPLambda$/, 'http' ],
+  [ /TableStreamLambda$/, 'stream' ],
+  [ /EventLambda$/, 'event' ],
+  [ /QueueLambda$/, 'queue' ],
+  [ /ScheduledLambda$/, 'scheduled' ],
+  [ /^(Connect|Disconnect)WSLambda$/, 'wsConnection' ],
+  [ /WSLambda$/, 'wsMessage' ],
+]
+const triggerOf = id => triggers.find(([ pattern ]) => pattern.test(id))?.[1]
+
+const count = n => Math.round(n).toLocaleString('en-US')
+
+export function estimateCost (template = {}, assumptions = defaultAssumptions) {
+  const a = { ...defaultAssumptions, ...assumptions }
+  const resources = Object.entries(template.Resources || {}).map(([ id, resource ]) => ({ id, ...resource }))
+  const ofType = (...types) => resources.filter(({ Type }) => types.includes(Type))
+  const lines = []
+  const add = (service, resource, detail, monthly) => lines.push({ service, resource, detail, monthly })
+
+  const functions = ofType('AWS::Serverless::Function', 'AWS::Lambda::Function')
+  const tables = ofType('AWS::DynamoDB::Table')
+  const topics = ofType('AWS::SNS::Topic')
+  const queues = ofType('AWS::SQS::Queue')
+  const byTrigger = trigger => functions.filter(({ id }) => triggerOf(id) === trigger)
+
+  // Traffic is split evenly across the resources that share it
+  const share = (total, list) => list.length ? total / list.length : 0
+  const schedules = Object.fromEntries(ofType('AWS::Events::Rule').map(({ id, Properties = {} }) => [
+    id.replace(/Event$/, 'Lambda'),
+    scheduledInvocations(Properties.ScheduleExpression),
+  ]))
+  const invocations = {
+    http: share(a.httpRequests, byTrigger('http')),
+    event: share(a.eventsPublished, byTrigger('event')),
+    queue: share(a.queueMessages, byTrigger('queue')),
+    // Worst case: no batching, so one invocation per write
+    stream: share(a.dynamoWrites, tables),
+    wsMessage: share(a.wsMessages, byTrigger('wsMessage')),
+    wsConnection: 0,
+  }
+
+  for (const { id, Properties = {} } of functions) {
+    const trigger = triggerOf(id)
+    const calls = trigger === 'scheduled' ? schedules[id] || 0 : invocations[trigger] || 0
+    const memory = Properties.MemorySize || 128
+    const architecture = (Properties.Architectures || [ 'x86_64' ])[0]
+    const gbSeconds = calls * (a.duration / 1000) * (memory / 1024)
+    const monthly = ((calls / million) * prices.lambda.requests) + (gbSeconds * (prices.lambda.gbSecond[architecture] || prices.lambda.gbSecond.x86_64))
+    const detail = trigger
+      ? `${count(calls)} invocations × ${count(a.duration)} ms × ${count(memory)} MB (${architecture})`
+      : 'Invoked by something outside the estimate (e.g. a plugin), so not estimated'
+    add('Lambda', id, detail, monthly)
+  }
+
+  for (const { id } of ofType('AWS::Serverless::HttpApi', 'AWS::ApiGatewayV2::Api')) {
+    const websocket = resources.find(r => r.id === id).Properties?.ProtocolType === 'WEBSOCKET'
+    if (websocket) {
+      add('API Gateway', id, `${count(a.wsMessages)} messages, ${count(a.wsConnectionMinutes)} connection minutes`,
+        ((a.wsMessages / million) * prices.apiGateway.websocketMessages) + ((a.wsConnectionMinutes / million) * prices.apiGateway.websocketMinutes))
+    }
+    else add('API Gateway', id, `${count(a.httpRequests)} HTTP API requests`, (a.httpRequests / million) * prices.apiGateway.http)
+  }
+  for (const { id } of ofType('AWS::Serverless::Api', 'AWS::ApiGateway::RestApi')) {
+    add('API Gateway', id, `${count(a.httpRequests)} REST API requests`, (a.httpRequests / million) * prices.apiGateway.rest)
+  }
+
+  for (const { id, Properties = {} } of tables) {
+    const reads = share(a.dynamoReads, tables)
+    const writes = share(a.dynamoWrites, tables)
+    const storage = share(a.dynamoStorage, tables)
+    const onDemand = !Properties.BillingMode || Properties.BillingMode === 'PAY_PER_REQUEST'
+    const requests = onDemand ? ((reads / million) * prices.dynamodb.reads) + ((writes / million) * prices.dynamodb.writes) : 0
+    add('DynamoDB', id, `${count(reads)} reads, ${count(writes)} writes, ${storage.toFixed(1)} GB${onDemand ? '' : ' (provisioned capacity not estimated)'}`,
+      requests + (storage * prices.dynamodb.storage))
+  }
+
+  for (const { id } of topics) {
+    const published = share(a.eventsPublished, topics)
+    add('SNS', id, `${count(published)} publishes`, (published / million) * prices.sns.publishes)
+  }
+
+  for (const { id, Properties = {} } of queues) {
+    // Each message is sent, received, and deleted
+    const requests = share(a.queueMessages, queues) * 3
+    const price = Properties.FifoQueue ? prices.sqs.fifo : prices.sqs.standard
+    add('SQS', id, `${count(requests)} requests (send + receive + delete)`, (requests / million) * price)
+  }
+
+  const buckets = ofType('AWS::S3::Bucket')
+  for (const { id } of buckets) {
+    const storage = share(a.staticStorage, buckets)
+    const gets = share(a.staticRequests, buckets)
+    add('S3', id, `${storage.toFixed(1)} GB, ${count(gets)} GET requests`, (storage * prices.s3.storage) + ((gets / million) * prices.s3.gets))
+  }
+
+  for (const { id } of ofType('AWS::CloudFront::Distribution')) {
+    add('CloudFront', id, `${count(a.cdnTransfer)} GB out, ${count(a.staticRequests)} requests`,
+      (a.cdnTransfer * prices.cloudfront.transfer) + ((a.staticRequests / million) * prices.cloudfront.requests))
+  }
+
+  const total = lines.reduce((sum, { monthly }) => sum + monthly, 0)
+  return { lines, total }
+}
+
+const usd = n => n.toLocaleString('en-US', { style: 'currency', currency: 'USD', minimumFractionDigits: 2, maximumFractionDigits: n && n < 0.01 ? 4 : 2 })
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Assumption inputs (once), plus the estimate table, which is re-rendered whenever the template or an assumption changes
+export function renderCost (container, template, { onSelect = () => {} } = {}) {
+  if (!container.querySelector('.cost-assumptions')) {
+    container.innerHTML = `
+<form class="cost-assumptions">
+  ${assumptionFields.map(({ name, label, value }) => `
+  <label>${escape(label)} <input type="number" min="0" step="any" name="${name}" value="${value}"></label>`).join('')}
+</form>
+<div class="cost-estimate" aria-live="polite"></div>
+<p class="cost-note text-1">
+  Estimates use ${prices.region} on-demand list prices (as of ${prices.asOf}), without free tiers, data transfer (besides the CDN), or CloudWatch logs.
+  Traffic is split evenly across resources of the same kind.
+</p>`
+    container.querySelector('form').oninput = () => renderCost(container, container.template, { onSelect })
+  }
+  container.template = template
+
+  const form = container.querySelector('form')
+  const assumptions = Object.fromEntries([ ...form.elements ].map(input => [ input.name, Number(input.value) || 0 ]))
+  const { lines, total } = estimateCost(template, assumptions)
+  const estimate = container.querySelector('.cost-estimate')
+  estimate.innerHTML = `
+<table class="cfn-changes cost-table">
+  <thead><tr><th>Service</th><th>Resource</th><th>Assumes</th><th>Monthly</th></tr></thead>
+  <tbody>
+    ${lines.map(({ service, resource, detail, monthly }) => `
+    <tr>
+      <td>${escape(service)}</td>
+      <td><a href="#cfn-${escape(resource)}" data-resource="${escape(resource)}">${escape(resource)}</a></td>
+      <td>${escape(detail)}</td>
+      <td class="cost">${usd(monthly)}</td>
+    </tr>`).join('')}
+  </tbody>
+  <tfoot><tr><th colspan="3">Estimated total</th><th class="cost">${usd(total)}/mo</th></tr></tfoot>
+</table>`
+  for (const link of estimate.querySelectorAll('[data-resource]')) {
+    link.onclick = e => {
+      e.preventDefault()
+      onSelect(link.dataset.resource)
+    }
+  }
+}
@@ -0,0 +1,46 @@
+// Inline manifest diagnostics: underlines offending lines in the editor, and lists them beside the preview
+
+const escape = str => str
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+// Mirrors the textarea's text behind it, with flagged lines marked up
+export function highlight (input, backdrop, diagnostics = []) {
+  const flagged = {}
+  for (const { line, severity } of diagnostics) {
+    if (flagged[line] !== 'error') flagged[line] = severity
+  }
+  backdrop.innerHTML = input.value
+    .split('\n')
+    .map((text, i) => flagged[i + 1]
+      ? `<mark class="${flagged[i + 1]}">${escape(text) || ' '}</mark>`
+      : escape(text))
+    .join('\n') + '\n'
+  backdrop.scrollTop = input.scrollTop
+}
+
+// Puts the cursor on (and selects) a line of the textarea
+export function selectLine (input, line) {
+  const lines = input.value.split('\n')
+  const start = lines.slice(0, line - 1).reduce((total, text) => total + text.length + 1, 0)
+  const end = start + (lines[line - 1] || '').length
+  input.focus()
+  input.setSelectionRange(start, end)
+}
+
+export function list (container, input, diagnostics = []) {
+  container.innerHTML = ''
+  container.hidden = !diagnostics.length
+  for (const diagnostic of diagnostics) {
+    const { line, column, message, pragma, severity } = diagnostic
+    const item = document.createElement('li')
+    const button = document.createElement('button')
+    button.type = 'button'
+    button.className = `diagnostic ${severity}`
+    button.textContent = `${severity === 'error' ? 'Error' : 'Warning'} (line ${line}, column ${column}${pragma ? `, @${pragma}` : ''}): ${message}`
+    button.onclick = () => selectLine(input, line)
+    item.appendChild(button)
+    container.appendChild(item)
+  }
+}
@@ -0,0 +1,93 @@
+// Resource-level diff between two CloudFormation templates
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value)
+
+// Leaf-level property changes, e.g. { path: 'Properties.Timeout', before: 5, after: 10 }
+function diffValues (before, after, path = '', changes = []) {
+  if (isObject(before) && isObject(after)) {
+    const keys = new Set([ ...Object.keys(before), ...Object.keys(after) ])
+    for (const key of keys) diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes)
+  }
+  else if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+    before.forEach((item, i) => diffValues(item, after[i], `${path}[${i}]`, changes))
+  }
+  else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path, before, after })
+  }
+  return changes
+}
+
+export function diffTemplates (before = {}, after = {}) {
+  const a = before.Resources || {}
+  const b = after.Resources || {}
+  const added = Object.keys(b).filter(id => !a[id]).map(id => ({ id, type: b[id].Type }))
+  const removed = Object.keys(a).filter(id => !b[id]).map(id => ({ id, type: a[id].Type }))
+  const changed = Object.keys(b)
+    .filter(id => a[id])
+    .map(id => ({ id, type: b[id].Type, changes: diffValues(a[id], b[id]) }))
+    .filter(({ changes }) => changes.length)
+  // Outputs matter too (e.g. a new API URL); the Description is skipped, as it embeds a build timestamp
+  const outputs = diffValues(before.Outputs || {}, after.Outputs || {})
+  return { added, removed, changed, outputs }
+}
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const show = value => value === undefined ? '—' : escape(JSON.stringify(value))
+
+function Changes (changes) {
+  return `
+<table class="cfn-changes">
+  <thead><tr><th>Property</th><th>Before</th><th>After</th></tr></thead>
+  <tbody>
+    ${changes.map(({ path, before, after }) => `
+    <tr>
+      <td>${escape(path)}</td>
+      <td class="removed"><code>${show(before)}</code></td>
+      <td class="added"><code>${show(after)}</code></td>
+    </tr>`).join('')}
+  </tbody>
+</table>`
+}
+
+function Resource ({ id, type, changes }, kind) {
+  // Removed resources only exist in the "before" template, so there's no JSON to jump to
+  const name = kind === 'removed'
+    ? `<strong>${escape(id)}</strong>`
+    : `<a href="#cfn-${escape(id)}" data-resource="${escape(id)}"><strong>${escape(id)}</strong></a>`
+  return `
+<li class="cfn-diff-${kind}">
+  ${name} <span class="cfn-type">${escape(type)}</span>
+  ${changes ? Changes(changes) : ''}
+</li>`
+}
+
+function Section (title, items, kind) {
+  if (!items.length) return ''
+  return `
+<h3 class="mt1 mb-2 font-semibold">${title} (${items.length})</h3>
+<ul class="list-none">${items.map(item => Resource(item, kind)).join('')}</ul>`
+}
+
+export function renderDiff (container, diff, { onSelect = () => {} } = {}) {
+  const { added, removed, changed, outputs } = diff
+  const empty = !added.length && !removed.length && !changed.length && !outputs.length
+  container.innerHTML = empty
+    ? '<p>No infrastructure changes.</p>'
+    : [
+      Section('Added', added, 'added'),
+      Section('Removed', removed, 'removed'),
+      Section('Changed', changed, 'changed'),
+      outputs.length ? `<h3 class="mt1 mb-2 font-semibold">Outputs (${outputs.length})</h3>${Changes(outputs)}` : '',
+    ].join('')
+  for (const link of container.querySelectorAll('[data-resource]')) {
+    link.onclick = e => {
+      e.preventDefault()
+      onSelect(link.dataset.resource)
+    }
+  }
+}
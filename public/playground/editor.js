@@ -0,0 +1,206 @@
+// Manifest editor helpers: completions (pragmas, HTTP verbs, table key types) and hover docs for pragmas
+// - Docs come from /api/pragmas, which reads them from the project manifest reference
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const keyDetails = {
+  '*String': 'Partition key (string)',
+  '**String': 'Sort key (string)',
+  '*Number': 'Partition key (number)',
+  '**Number': 'Sort key (number)',
+}
+
+// What to suggest at the cursor: { from, prefix, items: [ { label, detail } ] }, or null
+export function completions (text, cursor, { pragmas = [], httpVerbs = [], keyTypes = [] } = {}) {
+  const lineStart = text.lastIndexOf('\n', cursor - 1) + 1
+  const before = text.slice(lineStart, cursor)
+  const match = (prefix, items) => ({
+    from: cursor - prefix.length,
+    prefix,
+    items: items.filter(({ label }) => label.startsWith(prefix) && label !== prefix),
+  })
+
+  if (/^@[\w-]*$/.test(before)) {
+    return match(before, pragmas.map(({ title, description }) => ({ label: title, detail: description })))
+  }
+  // The pragma the cursor is in, e.g. `http`
+  const section = (text.slice(0, lineStart).match(/^@[\w-]+/gm) || []).pop()?.slice(1)
+  if (section === 'http') {
+    const verb = before.match(/^([a-z]*)$/)
+    if (verb) return match(verb[1], httpVerbs.map(label => ({ label })))
+  }
+  if (section === 'tables' || section === 'tables-indexes') {
+    const key = before.match(/^ {2}[\w.-]+\s+(\**\w*)$/)
+    if (key) return match(key[1], keyTypes.map(label => ({ label, detail: keyDetails[label] })))
+  }
+  return null
+}
+
+// Renders a pragma's docs for the hover card; inline `code` is kept, everything else is text
+function Docs ({ title, description, syntax = [], href }) {
+  const code = str => escape(str).replace(/`([^`]+)`/g, '<code>$1</code>')
+  return `
+<p class="font-semibold"><code>${escape(title)}</code></p>
+${description ? `<p>${code(description)}</p>` : ''}
+${syntax.length ? `<div class="pkg-hover-syntax">${syntax.map(line => `<div>${code(line) || '&nbsp;'}</div>`).join('')}</div>` : ''}
+<p><a href="${escape(href)}" target="_blank" rel="noopener">Read the ${escape(title)} docs</a></p>`
+}
+
+export function attachEditor (input, data) {
+  const editor = input.parentElement
+  const pragmas = Object.fromEntries(data.pragmas.map(pragma => [ pragma.name, pragma ]))
+
+  // An invisible copy of the textarea's text, for measuring where the cursor and pragmas are on screen
+  const mirror = document.createElement('div')
+  mirror.className = 'pkg-mirror'
+  mirror.setAttribute('aria-hidden', 'true')
+  editor.appendChild(mirror)
+
+  const listbox = document.createElement('ul')
+  listbox.id = 'pkg-completions'
+  listbox.className = 'pkg-completions'
+  listbox.setAttribute('role', 'listbox')
+  listbox.setAttribute('aria-label', 'Suggestions')
+  listbox.hidden = true
+  editor.appendChild(listbox)
+
+  const card = document.createElement('div')
+  card.id = 'pkg-hover'
+  card.className = 'pkg-hover'
+  card.setAttribute('role', 'tooltip')
+  card.hidden = true
+  editor.appendChild(card)
+
+  input.setAttribute('aria-autocomplete', 'list')
+  input.setAttribute('aria-controls', listbox.id)
+  input.setAttribute('aria-expanded', 'false')
+
+  let open = null
+  let active = 0
+
+  // What the mirror currently holds: pragma spans for a given manifest, or (when null) a measurement
+  let mirrored = null
+
+  // Where a character index sits within the editor, in px
+  function position (index) {
+    mirrored = null
+    mirror.innerHTML = `${escape(input.value.slice(0, index))}<span>&#8203;</span>`
+    mirror.scrollTop = input.scrollTop
+    const marker = mirror.lastElementChild
+    return { top: marker.offsetTop - input.scrollTop, left: marker.offsetLeft, height: marker.offsetHeight }
+  }
+
+  function close () {
+    open = null
+    listbox.hidden = true
+    input.setAttribute('aria-expanded', 'false')
+    input.removeAttribute('aria-activedescendant')
+  }
+
+  function select (i) {
+    active = (i + open.items.length) % open.items.length
+    listbox.querySelectorAll('[role=option]').forEach((option, n) => {
+      option.setAttribute('aria-selected', String(n === active))
+      if (n === active) {
+        input.setAttribute('aria-activedescendant', option.id)
+        option.scrollIntoView({ block: 'nearest' })
+      }
+    })
+  }
+
+  function accept () {
+    const { from, items } = open
+    const { label } = items[active]
+    close()
+    input.setRangeText(label, from, input.selectionStart, 'end')
+    input.focus()
+    input.dispatchEvent(new Event('input'))
+  }
+
+  function suggest (explicit) {
+    const found = completions(input.value, input.selectionStart, data)
+    // Only offer suggestions unprompted once there's something to complete
+    if (!found || !found.items.length || (!explicit && !found.prefix)) return close()
+    open = found
+    listbox.innerHTML = found.items.map(({ label, detail }, i) => `
+<li role="option" id="pkg-completion-${i}" aria-selected="false">
+  <code>${escape(label)}</code>${detail ? ` <span class="pkg-completion-detail">${escape(detail)}</span>` : ''}
+</li>`).join('')
+    listbox.querySelectorAll('[role=option]').forEach((option, i) => {
+      option.onmousedown = e => {
+        e.preventDefault()
+        active = i
+        accept()
+      }
+    })
+    const { top, left, height } = position(found.from)
+    listbox.style.top = `${top + height}px`
+    listbox.style.left = `${left}px`
+    listbox.hidden = false
+    input.setAttribute('aria-expanded', 'true')
+    select(0)
+  }
+
+  input.addEventListener('input', e => {
+    // Only typing opens suggestions; accepting one (a synthetic input event) shouldn't reopen them
+    if (e.isTrusted) suggest(false)
+  })
+  input.addEventListener('blur', close)
+  input.addEventListener('scroll', close)
+  input.addEventListener('keydown', e => {
+    if (e.key === ' ' && e.ctrlKey) {
+      e.preventDefault()
+      suggest(true)
+      return
+    }
+    if (!open) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      select(active + (e.key === 'ArrowDown' ? 1 : -1))
+    }
+    else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept()
+    }
+    else if (e.key === 'Escape') {
+      e.preventDefault()
+      close()
+    }
+  })
+
+  // Hover docs: pragma lines are wrapped in spans in the mirror, and hit-tested against the pointer
+  let hideTimer
+  const hide = () => {
+    hideTimer = setTimeout(() => card.hidden = true, 300)
+  }
+  card.addEventListener('mouseenter', () => clearTimeout(hideTimer))
+  card.addEventListener('mouseleave', hide)
+  input.addEventListener('mouseleave', hide)
+  input.addEventListener('mousemove', e => {
+    if (mirrored !== input.value) {
+      mirrored = input.value
+      mirror.innerHTML = escape(input.value).replace(/^@([\w-]+)/gm, (token, name) => pragmas[name]
+        ? `<span data-pragma="${name}">${token}</span>`
+        : token)
+    }
+    mirror.scrollTop = input.scrollTop
+    const hit = [ ...mirror.querySelectorAll('[data-pragma]') ].find(span => {
+      const rect = span.getBoundingClientRect()
+      return e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom
+    })
+    if (!hit) return hide()
+    clearTimeout(hideTimer)
+    const pragma = pragmas[hit.dataset.pragma]
+    if (card.hidden || card.dataset.pragma !== pragma.name) {
+      card.dataset.pragma = pragma.name
+      card.innerHTML = Docs(pragma)
+      card.style.top = `${hit.offsetTop - input.scrollTop + hit.offsetHeight}px`
+      card.style.left = `${hit.offsetLeft}px`
+      card.hidden = false
+    }
+  })
+}
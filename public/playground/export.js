@@ -0,0 +1,32 @@
+// Downloads: the template as sam.json or sam.yaml (as `arc deploy --dry-run` writes it), or a zipped starter project
+
+const accept = {
+  yaml: 'application/yaml',
+  zip: 'application/zip',
+}
+
+const filenames = {
+  json: 'sam.json',
+  yaml: 'sam.yaml',
+  zip: 'starter.zip',
+}
+
+function save (blob, filename) {
+  const link = document.createElement('a')
+  link.href = URL.createObjectURL(blob)
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000)
+}
+
+// JSON is saved from the current preview; YAML and starter projects come from /api/package (`request(accept)` → fetch options)
+export async function download (type, { request, template }) {
+  if (type === 'json') {
+    save(new Blob([ JSON.stringify(template, null, 2) ], { type: 'application/json' }), filenames.json)
+    return
+  }
+  const res = await fetch('/api/package', request(accept[type]))
+  if (!res.ok) throw Error(`Download failed: ${(await res.json()).message}`)
+  const disposition = res.headers.get('content-disposition') || ''
+  save(await res.blob(), disposition.match(/filename="([^"]+)"/)?.[1] || filenames[type])
+}
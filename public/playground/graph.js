@@ -0,0 +1,166 @@
+// CloudFormation resource graph: resources as nodes, Ref / GetAtt / Sub / DependsOn references as edges
+
+const svgNS = 'http://www.w3.org/2000/svg'
+
+// Columns, left to right, roughly following a request through the stack
+const columns = [
+  { name: 'APIs', match: type => /^AWS::(ApiGateway|ApiGatewayV2)::|^AWS::Serverless::(HttpApi|Api)$/.test(type) },
+  { name: 'Functions', match: type => /^AWS::Serverless::Function$|^AWS::Lambda::/.test(type) },
+  { name: 'Events & data', match: type => /^AWS::(DynamoDB|SNS|SQS|S3|Events)::/.test(type) },
+  { name: 'IAM', match: type => /^AWS::IAM::/.test(type) },
+  { name: 'Other', match: () => true },
+]
+
+const shortType = type => type.split('::').slice(1).join(' ')
+
+// Finds every resource a value references
+function references (value, ids, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => references(item, ids, found))
+  }
+  else if (value && typeof value === 'object') {
+    for (const [ key, inner ] of Object.entries(value)) {
+      if (key === 'Ref' && ids.has(inner)) {
+        found.push({ to: inner, kind: 'Ref' })
+      }
+      else if (key === 'Fn::GetAtt') {
+        const target = Array.isArray(inner) ? inner[0] : String(inner).split('.')[0]
+        if (ids.has(target)) found.push({ to: target, kind: 'GetAtt' })
+      }
+      else if (key === 'Fn::Sub') {
+        const [ str, vars ] = Array.isArray(inner) ? inner : [ inner ]
+        for (const [ , name ] of String(str).matchAll(/\$\{([\w]+)(?:\.[\w.]+)?\}/g)) {
+          if (ids.has(name)) found.push({ to: name, kind: 'Sub' })
+        }
+        if (vars) references(vars, ids, found)
+      }
+      else {
+        references(inner, ids, found)
+      }
+    }
+  }
+  return found
+}
+
+export function buildGraph (template = {}) {
+  const resources = template.Resources || {}
+  const ids = new Set(Object.keys(resources))
+  const nodes = Object.entries(resources).map(([ id, { Type = '' } ]) => ({
+    id,
+    type: Type,
+    column: columns.findIndex(({ match }) => match(Type)),
+  }))
+  const edges = []
+  const seen = new Set()
+  for (const [ from, resource ] of Object.entries(resources)) {
+    const dependsOn = [].concat(resource.DependsOn || [])
+      .filter(to => ids.has(to))
+      .map(to => ({ to, kind: 'DependsOn' }))
+    for (const { to, kind } of references(resource.Properties, ids).concat(dependsOn)) {
+      const key = `${from}→${to}`
+      if (from === to || seen.has(key)) continue
+      seen.add(key)
+      edges.push({ from, to, kind })
+    }
+  }
+  return { nodes, edges }
+}
+
+const el = (name, attrs = {}) => {
+  const node = document.createElementNS(svgNS, name)
+  for (const [ key, value ] of Object.entries(attrs)) node.setAttribute(key, value)
+  return node
+}
+
+// Lays the graph out in columns, and renders it as SVG; clicking a resource calls onSelect(id)
+export function renderGraph (container, graph, { onSelect = () => {} } = {}) {
+  const width = 210
+  const height = 34
+  const gap = { x: 90, y: 12 }
+  const header = 30
+  const used = columns.map((_, i) => graph.nodes.filter(({ column }) => column === i)).filter(nodes => nodes.length)
+  const position = {}
+  used.forEach((nodes, x) => nodes.forEach((node, y) => {
+    position[node.id] = { x: x * (width + gap.x), y: header + (y * (height + gap.y)) }
+  }))
+  const rows = Math.max(0, ...used.map(nodes => nodes.length))
+
+  const svg = el('svg', {
+    class: 'cfn-graph',
+    role: 'img',
+    'aria-label': `${graph.nodes.length} resources, ${graph.edges.length} references`,
+    width: Math.max(used.length * (width + gap.x) - gap.x, 0),
+    height: header + (rows * (height + gap.y)),
+  })
+
+  used.forEach((nodes, x) => {
+    const title = el('text', { x: x * (width + gap.x), y: 16, class: 'cfn-column' })
+    title.textContent = columns[nodes[0].column].name
+    svg.appendChild(title)
+  })
+
+  const edgeEls = graph.edges.map(({ from, to, kind }) => {
+    const a = position[from]
+    const b = position[to]
+    const leftToRight = a.x <= b.x
+    const x1 = a.x + (leftToRight ? width : 0)
+    const x2 = b.x + (leftToRight ? 0 : width)
+    // Same-column references loop out to the right
+    const bend = a.x === b.x ? width + (gap.x / 2) : (x2 - x1) / 2
+    const c1 = a.x === b.x ? a.x + bend : x1 + bend
+    const c2 = a.x === b.x ? b.x + bend : x2 - bend
+    const y1 = a.y + (height / 2)
+    const y2 = b.y + (height / 2)
+    const path = el('path', {
+      d: `M${a.x === b.x ? a.x + width : x1},${y1} C${c1},${y1} ${c2},${y2} ${a.x === b.x ? b.x + width : x2},${y2}`,
+      class: `cfn-edge ${kind}`,
+      'data-from': from,
+      'data-to': to,
+    })
+    const label = el('title')
+    label.textContent = `${from} → ${to} (${kind})`
+    path.appendChild(label)
+    svg.appendChild(path)
+    return path
+  })
+
+  for (const node of graph.nodes) {
+    const { x, y } = position[node.id]
+    const group = el('g', {
+      class: 'cfn-node',
+      transform: `translate(${x},${y})`,
+      tabindex: 0,
+      role: 'button',
+      'data-id': node.id,
+    })
+    group.appendChild(el('rect', { width, height, rx: 4 }))
+    const name = el('text', { x: 8, y: 14, class: 'cfn-name' })
+    name.textContent = node.id
+    const type = el('text', { x: 8, y: 27, class: 'cfn-type' })
+    type.textContent = shortType(node.type)
+    const label = el('title')
+    label.textContent = `${node.id} (${node.type})`
+    group.append(label, name, type)
+
+    const connected = edgeEls.filter(edge => edge.dataset.from === node.id || edge.dataset.to === node.id)
+    const toggle = on => {
+      group.classList.toggle('active', on)
+      connected.forEach(edge => edge.classList.toggle('active', on))
+    }
+    group.addEventListener('mouseenter', () => toggle(true))
+    group.addEventListener('mouseleave', () => toggle(false))
+    group.addEventListener('focus', () => toggle(true))
+    group.addEventListener('blur', () => toggle(false))
+    group.addEventListener('click', () => onSelect(node.id))
+    group.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault()
+        onSelect(node.id)
+      }
+    })
+    svg.appendChild(group)
+  }
+
+  container.innerHTML = ''
+  container.appendChild(svg)
+}
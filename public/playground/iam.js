@@ -0,0 +1,151 @@
+// IAM permissions report: what each role (and so each function) may do, with wildcards flagged
+
+const services = {
+  'dynamodb': 'DynamoDB',
+  'events': 'EventBridge',
+  'execute-api': 'API Gateway',
+  'lambda': 'Lambda',
+  'logs': 'CloudWatch Logs',
+  's3': 'S3',
+  'sns': 'SNS',
+  'sqs': 'SQS',
+  'ssm': 'SSM Parameter Store',
+}
+
+const serviceOf = action => action === '*' ? 'All services' : services[action.split(':')[0]] || action.split(':')[0]
+
+// Intrinsic functions as readable text, e.g. arn:aws:s3:::${StaticBucket}/*
+function show (value) {
+  if (typeof value === 'string') return value
+  if (Array.isArray(value)) return value.map(item => show(item)).join(', ')
+  if (value?.Ref) return `\${${value.Ref}}`
+  if (value?.['Fn::GetAtt']) {
+    const att = value['Fn::GetAtt']
+    return `\${${Array.isArray(att) ? att.join('.') : att}}`
+  }
+  if (value?.['Fn::Sub']) {
+    const [ str, subs = {} ] = [].concat(value['Fn::Sub'])
+    return str.replace(/\$\{([\w]+)\}/g, (token, name) => subs[name] !== undefined ? show(subs[name]) : token)
+  }
+  if (value?.['Fn::Join']) {
+    const [ separator, parts ] = value['Fn::Join']
+    return [].concat(parts).map(part => show(part)).join(separator)
+  }
+  return JSON.stringify(value)
+}
+
+// Whether a value refers to a resource by Ref, GetAtt, or Sub (as Arc does for function roles)
+function refersTo (value, id) {
+  if (Array.isArray(value)) return value.some(item => refersTo(item, id))
+  if (!value || typeof value !== 'object') return false
+  if (value.Ref === id) return true
+  const att = value['Fn::GetAtt']
+  if (att && (Array.isArray(att) ? att[0] : String(att).split('.')[0]) === id) return true
+  // e.g. { 'Fn::Sub': '${Role.Arn}' }, unless `Role` is one of the Sub's own variables
+  const [ str, subs = {} ] = [].concat(value['Fn::Sub'] || [])
+  if (typeof str === 'string' && [ ...str.matchAll(/\$\{(\w+)[\w.]*\}/g) ].some(([ , name ]) => name === id && !(name in subs))) return true
+  return Object.values(value).some(inner => refersTo(inner, id))
+}
+
+// `*` grants every resource; other wildcards grant every resource matching a pattern
+function wildcard (resource) {
+  if (resource === '*') return 'all resources'
+  if (resource.includes('*')) return 'pattern'
+  return null
+}
+
+function statements (policyName, document = {}) {
+  return [].concat(document.Statement || []).map(({ Effect, Action, NotAction, Resource, NotResource, Condition }) => {
+    const actions = [].concat(Action || NotAction || [])
+    const resources = [].concat(Resource || NotResource || []).map(resource => show(resource))
+    return {
+      policy: policyName,
+      effect: Effect,
+      // NotAction / NotResource grant everything *except* what they list, so they're flagged as well
+      not: Boolean(NotAction || NotResource),
+      services: [ ...new Set(actions.map(serviceOf)) ],
+      actions,
+      wildcardActions: actions.filter(action => action.includes('*')),
+      resources: resources.map(resource => ({ resource, wildcard: wildcard(resource) })),
+      conditional: Boolean(Condition),
+    }
+  })
+}
+
+export function iamReport (template = {}) {
+  const resources = Object.entries(template.Resources || {})
+  const functions = resources.filter(([ , { Type } ]) => Type === 'AWS::Serverless::Function' || Type === 'AWS::Lambda::Function')
+  const roles = resources
+    .filter(([ , { Type } ]) => Type === 'AWS::IAM::Role')
+    .map(([ id, { Properties = {} } ]) => {
+      const inline = (Properties.Policies || []).flatMap(({ PolicyName, PolicyDocument }) => statements(PolicyName, PolicyDocument))
+      // Standalone policies attached to the role, e.g. ArcParameterStorePolicy
+      const attached = resources
+        .filter(([ , { Type, Properties: props = {} } ]) => Type === 'AWS::IAM::Policy' && refersTo(props.Roles, id))
+        .flatMap(([ policyId, { Properties: props } ]) => statements(props.PolicyName || policyId, props.PolicyDocument))
+      const all = inline.concat(attached)
+      return {
+        id,
+        functions: functions.filter(([ , { Properties: props = {} } ]) => refersTo(props.Role, id)).map(([ fn ]) => fn),
+        statements: all,
+        managed: [].concat(Properties.ManagedPolicyArns || []).map(arn => show(arn)),
+        wildcards: all.filter(({ effect, not, wildcardActions, resources }) => effect === 'Allow' &&
+          (not || wildcardActions.length || resources.some(({ wildcard }) => wildcard))).length,
+      }
+    })
+  // Functions without a Role of their own get one from SAM, with the function's `Policies` (if any)
+  const unassigned = functions
+    .filter(([ id ]) => !roles.some(({ functions }) => functions.includes(id)))
+    .map(([ id ]) => id)
+  return { roles, unassigned }
+}
+
+const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const link = id => `<a href="#cfn-${escape(id)}" data-resource="${escape(id)}">${escape(id)}</a>`
+
+function Statement ({ policy, effect, not, services, actions, wildcardActions, resources, conditional }) {
+  const flag = text => `<span class="iam-flag">${text}</span>`
+  return `
+<tr class="iam-${effect === 'Deny' ? 'deny' : 'allow'}">
+  <td>${escape(services.join(', '))}</td>
+  <td>${escape(effect)}${not ? ` ${flag('all except')}` : ''}${conditional ? ' <span class="text-1">(conditional)</span>' : ''}</td>
+  <td>${actions.map(action => `<code>${escape(action)}</code>${wildcardActions.includes(action) ? ` ${flag('wildcard')}` : ''}`).join('<br>')}</td>
+  <td>${resources.map(({ resource, wildcard }) => `<code>${escape(resource)}</code>${wildcard && effect === 'Allow' ? ` ${flag(wildcard)}` : ''}`).join('<br>')}</td>
+  <td>${escape(policy)}</td>
+</tr>`
+}
+
+function Role ({ id, functions, statements, managed, wildcards }) {
+  return `
+<h3 class="mt1 mb-2 font-semibold">${link(id)}</h3>
+<p class="mb-2">
+  Used by ${functions.length ? functions.map(link).join(', ') : 'no functions'}.
+  ${wildcards ? `<strong class="iam-flag">${wildcards} statement${wildcards === 1 ? '' : 's'} with wildcards</strong>` : 'No wildcard grants.'}
+</p>
+<table class="cfn-changes iam-table">
+  <thead><tr><th>Service</th><th>Effect</th><th>Actions</th><th>Resources</th><th>Policy</th></tr></thead>
+  <tbody>${statements.map(Statement).join('')}</tbody>
+</table>
+${managed.length ? `<p class="mb-2">Managed policies: ${managed.map(arn => `<code>${escape(arn)}</code>`).join(', ')}</p>` : ''}`
+}
+
+export function renderIam (container, report, { onSelect = () => {} } = {}) {
+  const { roles, unassigned } = report
+  container.innerHTML = [
+    roles.length ? roles.map(Role).join('') : '<p>No IAM roles.</p>',
+    unassigned.length
+      ? `<p class="mt1">Not covered by a role in this template (SAM creates one from each function's <code>Policies</code>): ${unassigned.map(link).join(', ')}</p>`
+      : '',
+  ].join('')
+  for (const el of container.querySelectorAll('[data-resource]')) {
+    el.onclick = e => {
+      e.preventDefault()
+      onSelect(el.dataset.resource)
+    }
+  }
+}
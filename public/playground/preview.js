@@ -0,0 +1,42 @@
+// Preview modes: the CloudFormation JSON, or its resource graph
+
+const escape = str => str
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+
+// Pretty JSON, with each resource's opening line anchored (#cfn-<LogicalId>) so the graph can link to it
+export function jsonWithAnchors (template) {
+  let inResources = false
+  return JSON.stringify(template, null, 2)
+    .split('\n')
+    .map(line => {
+      if (line === '  "Resources": {') inResources = true
+      else if (inResources && /^ {2}\}/.test(line)) inResources = false
+      const resource = inResources && line.match(/^ {4}"([\w]+)": \{$/)
+      return resource
+        ? `<span id="cfn-${resource[1]}" class="cfn-resource">${escape(line)}</span>`
+        : escape(line)
+    })
+    .join('\n')
+}
+
+export function setMode (mode) {
+  for (const tab of document.querySelectorAll('[role=tab][data-mode]')) {
+    const selected = tab.dataset.mode === mode
+    tab.setAttribute('aria-selected', String(selected))
+    document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected
+  }
+}
+
+// Switch to the JSON, and scroll to + flash a resource
+export function showResource (id) {
+  setMode('json')
+  const target = document.getElementById(`cfn-${id}`)
+  if (!target) return
+  target.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  target.classList.remove('flash')
+  // Restart the animation if it's already running
+  void target.offsetWidth
+  target.classList.add('flash')
+}
@@ -0,0 +1,44 @@
+// Offline AWS price table used by the cost estimator
+// - On-demand list prices in USD for us-east-1, without free tiers; update `asOf` along with the numbers
+// - Per-million unless noted otherwise
+export default {
+  asOf: '2025-06',
+  region: 'us-east-1',
+  lambda: {
+    requests: 0.20,
+    // Per GB-second of compute
+    gbSecond: {
+      arm64: 0.0000133334,
+      x86_64: 0.0000166667,
+    },
+  },
+  apiGateway: {
+    http: 1.00,
+    rest: 3.50,
+    websocketMessages: 1.00,
+    websocketMinutes: 0.25,
+  },
+  dynamodb: {
+    writes: 0.625,
+    reads: 0.125,
+    // Per GB-month
+    storage: 0.25,
+  },
+  sns: {
+    publishes: 0.50,
+  },
+  sqs: {
+    standard: 0.40,
+    fifo: 0.50,
+  },
+  s3: {
+    // Per GB-month
+    storage: 0.023,
+    gets: 0.40,
+  },
+  cloudfront: {
+    // Per GB, first 10 TB (North America)
+    transfer: 0.085,
+    requests: 1.00,
+  },
+}
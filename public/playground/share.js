@@ -0,0 +1,74 @@
+// Compact share links: `?z=<format version>.<base64url(deflate-raw(JSON state))>`
+// - Bump the version whenever the encoded state changes shape, and keep decoding older versions
+const version = 1
+
+// Longer links get saved server-side, and shared as /playground/s/<id>
+const maxLinkLength = 2000
+
+const toBase64Url = bytes => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '')
+
+const fromBase64Url = str => Uint8Array.from(
+  atob(str.replace(/-/g, '+').replace(/_/g, '/')),
+  char => char.charCodeAt(0),
+)
+
+async function pipe (bytes, stream) {
+  const piped = new Blob([ bytes ]).stream().pipeThrough(stream)
+  return new Uint8Array(await new Response(piped).arrayBuffer())
+}
+
+// { arc, before } → '1.…'
+export async function encode (state) {
+  const json = new TextEncoder().encode(JSON.stringify(state))
+  return `${version}.${toBase64Url(await pipe(json, new CompressionStream('deflate-raw')))}`
+}
+
+export async function decode (share) {
+  const [ , v, data ] = String(share).match(/^(\d+)\.([\w-]+)$/) || []
+  if (Number(v) !== version) throw Error(`Unsupported share link format: ${share.slice(0, 8)}`)
+  const json = await pipe(fromBase64Url(data), new DecompressionStream('deflate-raw'))
+  return JSON.parse(new TextDecoder().decode(json))
+}
+
+// Playground state from the current URL: ?z= share links, ?s= saved shares (via /playground/s/<id>), or legacy ?arc= (+ ?before=) links
+export async function readState (search = window.location.search) {
+  const query = new URLSearchParams(search)
+  if (query.has('z')) return decode(query.get('z'))
+  if (query.has('s')) return decode(await loadSnippet(query.get('s')))
+  return {
+    arc: query.get('arc'),
+    before: query.get('before'),
+  }
+}
+
+async function loadSnippet (id) {
+  const res = await fetch(`/api/snippets/${encodeURIComponent(id)}`)
+  if (!res.ok) throw Error(`Loading snippet ${id} failed: ${res.status}`)
+  const { share } = await res.json()
+  return share
+}
+
+export async function shareLink (state) {
+  const share = await encode(state)
+  const base = `${window.location.origin}/playground`
+  const link = `${base}?z=${share}`
+  if (link.length <= maxLinkLength) return link
+  try {
+    const res = await fetch('/api/snippets', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ share }),
+    })
+    if (!res.ok) throw Error(`Saving snippet failed: ${res.status}`)
+    const { url } = await res.json()
+    return `${window.location.origin}${url}`
+  }
+  catch (err) {
+    // The long link still works in most browsers, so fall back to it
+    console.error(err)
+    return link
+  }
+}
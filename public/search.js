@@ -0,0 +1,91 @@
+/* eslint-env browser */
+// Docs search: drives the #docsearch input with results from /api/search
+(function () {
+  const form = document.querySelector('form[role=search]')
+  const input = document.getElementById('docsearch')
+  const list = document.getElementById('docsearch-results')
+  if (!form || !input || !list) return
+
+  const lang = document.documentElement.lang || 'en'
+  let results = []
+  let selected = -1
+  let timer
+  let controller
+
+  const escape = str => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+  const stripTags = str => String(str).replace(/<[^>]+>/g, '')
+
+  function close () {
+    list.hidden = true
+    input.setAttribute('aria-expanded', 'false')
+    selected = -1
+  }
+
+  function render () {
+    if (!input.value.trim()) return close()
+    list.innerHTML = results.length
+      ? results.map(({ href, title, heading, excerpt }, i) => `
+<li role="option" id="docsearch-result-${i}" aria-selected="${i === selected}">
+  <a href="${escape(href)}">
+    <strong>${escape(stripTags(title))}</strong>
+    ${heading ? `<div class="docsearch-heading">${escape(heading)}</div>` : ''}
+    ${excerpt ? `<div class="docsearch-excerpt">${escape(excerpt)}</div>` : ''}
+  </a>
+</li>`).join('')
+      : '<li class="docsearch-excerpt p-2">No results</li>'
+    list.hidden = false
+    input.setAttribute('aria-expanded', 'true')
+    if (selected > -1) input.setAttribute('aria-activedescendant', `docsearch-result-${selected}`)
+    else input.removeAttribute('aria-activedescendant')
+  }
+
+  async function query (q) {
+    if (controller) controller.abort()
+    controller = new AbortController()
+    try {
+      const params = new URLSearchParams({ q, lang })
+      const res = await fetch(`/api/search?${params}`, { signal: controller.signal })
+      if (!res.ok) throw Error(`Search failed (${res.status})`)
+      results = (await res.json()).results
+      selected = -1
+      render()
+    }
+    catch (err) {
+      if (err.name !== 'AbortError') console.error(err)
+    }
+  }
+
+  input.addEventListener('input', () => {
+    clearTimeout(timer)
+    const q = input.value.trim()
+    if (!q) return close()
+    timer = setTimeout(() => query(q), 150)
+  })
+
+  input.addEventListener('keydown', evt => {
+    if (evt.key === 'Escape') return close()
+    if (!results.length || list.hidden) return
+    if (evt.key === 'ArrowDown' || evt.key === 'ArrowUp') {
+      evt.preventDefault()
+      const step = evt.key === 'ArrowDown' ? 1 : -1
+      selected = (selected + step + results.length) % results.length
+      render()
+    }
+  })
+
+  // Enter follows the selected (or top) result; without JS the form falls back to the JSON API
+  form.addEventListener('submit', evt => {
+    evt.preventDefault()
+    const result = results[Math.max(selected, 0)]
+    if (result) window.location.href = result.href
+  })
+
+  input.addEventListener('focus', () => results.length && input.value.trim() && render())
+  document.addEventListener('click', evt => {
+    if (!form.contains(evt.target)) close()
+  })
+})()
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Prerender every docs page (in every language) into static HTML
+ *
+ * Usage: npm run prerender [-- --out <dir>]
+ * - By default, pages are written to src/views/prerendered, where the docs handler picks them up
+ * - With --out, a self-contained offline copy (pages + public assets under /_static) is written to <dir>
+ */
+import { existsSync } from 'fs'
+import { cp, mkdir, mkdtemp, readdir, rm, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { dirname, join, relative, resolve, sep } from 'path'
+import { docPaths, docsDir, prerenderedDir, renderDoc } from '../src/views/docs/render.mjs'
+import languages, { defaultLang } from '../src/views/docs/languages.mjs'
+import { buildIndex, indexFile } from '../src/views/docs/search.mjs'
+import versions, { versionBase } from '../src/views/docs/versions.mjs'
+import flattenToc from '../src/views/modules/helpers/toc.mjs'
+
+const root = join(new URL('.', import.meta.url).pathname, '..')
+const outFlag = process.argv.indexOf('--out')
+const out = outFlag > -1 ? resolve(process.argv[outFlag + 1]) : prerenderedDir
+const offline = outFlag > -1
+
+// Markdown files, plus directories (which render as category pages)
+async function findDocs (dir) {
+  if (!existsSync(dir)) return []
+  const entries = await readdir(dir, { withFileTypes: true })
+  const found = await Promise.all(entries.map(async entry => {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) return [ path, ...await findDocs(path) ]
+    return entry.name.endsWith('.md') ? [ path ] : []
+  }))
+  return found.flat()
+}
+
+// Every language gets the full tree; untranslated pages render with the default language fallback
+async function findLangDocs (lang) {
+  const docs = []
+  for (const source of new Set([ defaultLang, lang ])) {
+    const dir = join(docsDir, source)
+    for (const file of await findDocs(dir)) {
+      const doc = relative(dir, file).replace(/\.md$/, '')
+      if (!docs.includes(doc)) docs.push(doc)
+    }
+  }
+  return docs
+}
+
+// arc.static() reads the fingerprint manifest relative to cwd, as it would from inside a Lambda
+async function useStaticManifest () {
+  const manifest = join(root, 'public', 'static.json')
+  if (offline || !existsSync(manifest)) return
+  const cwd = await mkdtemp(join(tmpdir(), 'arc-prerender-'))
+  const shared = join(cwd, 'node_modules', '@architect', 'shared')
+  await mkdir(shared, { recursive: true })
+  await cp(manifest, join(shared, 'static.json'))
+  process.chdir(cwd)
+  return () => rm(cwd, { recursive: true, force: true })
+}
+
+async function prerender () {
+  const start = Date.now()
+  const cleanup = await useStaticManifest()
+
+  await rm(out, { recursive: true, force: true })
+
+  const rendered = []
+  const failed = []
+  for (const lang of Object.keys(languages)) {
+    for (const doc of await findLangDocs(lang)) {
+      const parts = doc.split(sep)
+      const docName = parts.pop()
+      const { active } = docPaths({ lang, parts, docName })
+      try {
+        const body = await renderDoc({ lang, parts, docName })
+        const dest = join(out, `${active}.html`)
+        await mkdir(dirname(dest), { recursive: true })
+        await writeFile(dest, body)
+        rendered.push(active)
+      }
+      catch (err) {
+        failed.push(active)
+        console.error(`Failed to render ${active}:`, err)
+      }
+    }
+  }
+
+  // Search indexes ship alongside the pages, so /api/search skips indexing on cold start
+  if (!offline) {
+    for (const lang of Object.keys(languages)) {
+      await mkdir(dirname(indexFile(lang)), { recursive: true })
+      await writeFile(indexFile(lang), JSON.stringify(buildIndex(lang)))
+    }
+  }
+
+  // Surface sidebar entries that have no markdown behind them
+  for (const lang of Object.keys(languages)) {
+    for (const [ version, { toc } ] of Object.entries(versions)) {
+      for (const { href } of flattenToc({ data: toc, path: versionBase(lang, version) })) {
+        if (!rendered.includes(href)) console.warn(`Table of contents entry has no document: ${href}`)
+      }
+    }
+  }
+
+  if (offline) await cp(join(root, 'public'), join(out, '_static'), { recursive: true })
+  if (cleanup) await cleanup()
+
+  console.log(`Prerendered ${rendered.length} docs to ${relative(root, out) || out} in ${(Date.now() - start) / 1000} seconds`)
+  if (failed.length) process.exit(1)
+}
+
+prerender()
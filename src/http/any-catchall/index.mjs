@@ -1,11 +1,11 @@
 import arc from '@architect/functions'
 import asap from '@architect/asap'
-import { redirect as redirectMiddleware } from '@architect/shared/redirect-map.mjs'
+import { redirect as redirectMiddleware, permanentRedirects, tempRedirects } from '@architect/shared/redirect-map.mjs'
 import notFoundResponse from '@architect/shared/not-found-response.mjs'
 import toc from '@architect/views/docs/table-of-contents.mjs'
 import Html from '@architect/views/modules/document/html.mjs'
 import NotFound from '@architect/views/modules/components/not-found.mjs'
-import algolia from '@architect/views/modules/components/algolia.mjs'
+import suggest from '@architect/views/modules/helpers/suggest.mjs'
 
 // middleware proxy s3 assets
 const staticProxy = asap({
@@ -31,9 +31,11 @@ async function notFound (req) {
     ...notFoundResponse,
     body: Html({
       active: term,
-      html: NotFound({ term }),
+      html: NotFound({
+        term,
+        suggestions: suggest({ term, toc, redirects: { ...tempRedirects, ...permanentRedirects } }),
+      }),
       scripts: [ '/index.js' ],
-      thirdparty: algolia,
       toc,
     }),
   }
@@ -0,0 +1,19 @@
+import { fileExists, projectFile } from '@architect/shared/arc-data.mjs'
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: {
+    'cache-control': 'no-cache, no-store, must-revalidate, max-age=0, s-maxage=0',
+    'content-type': 'application/json; charset=utf8',
+  },
+  body: JSON.stringify(body),
+})
+
+// Whether an Arc Viewer node's source file exists, e.g. ?path=src/http/get-index/index.mjs
+// - Sandbox only: deployed, the only files are the Lambda's own bundle, which visitors have no business probing
+export async function handler (req) {
+  if (process.env.ARC_ENV !== 'testing') return json(404, { message: 'Not found' })
+  const { path } = req.queryStringParameters || {}
+  if (!projectFile(path)) return json(400, { message: 'Expected a path relative to the project' })
+  return json(200, fileExists(path))
+}
@@ -1,26 +1,18 @@
-import inventory from '@architect/inventory'
-import pkg from '@architect/package'
+import { packageResponse } from '@architect/shared/package/index.mjs'
+import { limited, maxManifestBytes, tooLarge, tooMany } from '@architect/shared/package/limits.mjs'
 
+// GET /api/package?arc=<base64 manifest>&...options; the playground uses POST, which fits larger manifests
 export async function handler (req) {
-  let statusCode = 200
-  let body
+  const { arc = '', ...params } = req.queryStringParameters || {}
+  // Base64 is ~4/3 the size of what it encodes
+  if (arc.length > Math.ceil(maxManifestBytes * 4 / 3)) return tooLarge()
+  const retryAfter = await limited(req)
+  if (retryAfter) return tooMany(retryAfter)
 
-  try {
-    const rawArc = Buffer.from(req.queryStringParameters.arc, 'base64').toString()
-    const inv = await inventory({ rawArc, deployStage: 'staging' })
-    body = JSON.stringify(pkg(inv))
-  }
-  catch (e) {
-    statusCode = 500
-    body = JSON.stringify({
-      name: e.name,
-      message: e.message,
-      stack: e.stack,
-    })
-  }
-
-  return {
-    statusCode,
-    body,
-  }
+  return packageResponse({
+    source: Buffer.from(arc, 'base64').toString(),
+    params,
+    headers: req.headers,
+    context: { requestId: req.requestContext?.requestId, method: 'GET' },
+  })
 }
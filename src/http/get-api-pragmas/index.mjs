@@ -0,0 +1,22 @@
+import languages, { defaultLang } from '@architect/views/docs/languages.mjs'
+import { httpVerbs, keyTypes, pragmaDocs } from '@architect/views/docs/pragmas.mjs'
+
+const cache = {} // cheap warm cache
+
+// Playground editor completions + hover docs, sourced from the project manifest reference
+export async function handler (req) {
+  const { lang: requested } = req.queryStringParameters || {}
+  const lang = languages[requested] ? requested : defaultLang
+  if (!cache[lang]) cache[lang] = { pragmas: pragmaDocs(lang), httpVerbs, keyTypes }
+
+  return {
+    statusCode: 200,
+    headers: {
+      'cache-control': process.env.ARC_ENV === 'production'
+        ? 'max-age=3600'
+        : 'no-cache, no-store, must-revalidate, max-age=0, s-maxage=0',
+      'content-type': 'application/json; charset=utf8',
+    },
+    body: JSON.stringify(cache[lang]),
+  }
+}
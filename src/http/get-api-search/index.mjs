@@ -0,0 +1,35 @@
+import { existsSync, readFileSync } from 'fs'
+import languages, { defaultLang } from '@architect/views/docs/languages.mjs'
+import { buildIndex, indexFile, search } from '@architect/views/docs/search.mjs'
+
+const indexes = {} // cheap warm cache
+
+// Prefer the index written by `npm run prerender`; sandbox always indexes fresh markdown
+function getIndex (lang) {
+  if (indexes[lang]) return indexes[lang]
+  const file = indexFile(lang)
+  if (process.env.ARC_ENV !== 'testing' && existsSync(file)) {
+    indexes[lang] = JSON.parse(readFileSync(file, 'utf8'))
+  }
+  else {
+    indexes[lang] = buildIndex(lang)
+  }
+  return indexes[lang]
+}
+
+export async function handler (req) {
+  const { q = '', lang: requested } = req.queryStringParameters || {}
+  const lang = languages[requested] ? requested : defaultLang
+  const results = search(getIndex(lang), q.slice(0, 200))
+
+  return {
+    statusCode: 200,
+    headers: {
+      'cache-control': process.env.ARC_ENV === 'production'
+        ? 'max-age=300'
+        : 'no-cache, no-store, must-revalidate, max-age=0, s-maxage=0',
+      'content-type': 'application/json; charset=utf8',
+    },
+    body: JSON.stringify({ query: q, lang, results }),
+  }
+}
@@ -0,0 +1,21 @@
+import arc from '@architect/functions'
+import { validSnippetId } from '@architect/shared/snippets.mjs'
+
+const json = (statusCode, body, headers) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json; charset=utf8', ...headers },
+  body: JSON.stringify(body),
+})
+
+// A saved playground share, for /playground?s=<id> (see public/playground/share.js)
+async function read (req) {
+  const { id } = req.pathParameters
+  if (!validSnippetId(id)) return json(404, { message: 'Snippet not found' })
+  const { snippets } = await arc.tables()
+  const snippet = await snippets.get({ id })
+  if (!snippet) return json(404, { message: 'Snippet not found' })
+  // IDs are derived from content, so a snippet never changes
+  return json(200, { id, share: snippet.share }, { 'cache-control': 'public, max-age=31536000, immutable' })
+}
+
+export const handler = arc.http.async(read)
@@ -1,69 +1,36 @@
-import { readFileSync } from 'fs'
-import { join } from 'path'
-import parser from '@architect/parser'
+import { etag, notModified, readArcData } from '@architect/shared/arc-data.mjs'
 
-export async function handler() {
+const json = (statusCode, body, headers) => ({
+  statusCode,
+  headers: {
+    // Always revalidate; the ETag makes that cheap
+    'cache-control': 'no-cache',
+    'content-type': 'application/json; charset=utf8',
+    // Where to listen for changes (Sandbox only, see src/plugins/arc-updates.mjs)
+    ...process.env.ARC_UPDATES_URL && { 'x-arc-updates': process.env.ARC_UPDATES_URL },
+    ...headers,
+  },
+  body: body === undefined ? undefined : JSON.stringify(body),
+})
+
+// The Arc Viewer's view of the project: its routes, functions (and where their handlers are), tables, etc.
+export async function handler (req) {
   try {
-    // Find app.arc - it should be in the project root or parent directories
-    let arcPath
-    let currentDir = process.cwd()
-    
-    // Walk up to find app.arc
-    for (let i = 0; i < 5; i++) {
-      const candidate = join(currentDir, 'app.arc')
-      try {
-        readFileSync(candidate, 'utf-8')
-        arcPath = candidate
-        break
-      } catch (e) {
-        currentDir = join(currentDir, '..')
-      }
-    }
-    
-    if (!arcPath) {
-      // Default to /workspace/app.arc
-      arcPath = '/workspace/app.arc'
-    }
-    
-    const arcContent = readFileSync(arcPath, 'utf-8')
-    
-    const parsed = parser(arcContent)
-    
-    // Extract relevant structure
-    const response = {
-      app: parsed.app?.[0] || 'app',
-      routes: (parsed.http || []).map(route => ({
-        method: route[0],
-        path: route[1],
-        functionName: route[2],
-      })),
-      lambdas: (parsed.lambda || []).map(lambda => ({
-        name: lambda[0],
-      })),
-      tables: (parsed.tables || []).map(table => ({
-        name: table[0],
-        attributes: table.slice(1).filter(attr => attr && attr[0] === '*' || attr[0]),
-      })),
-      functions: (parsed.functions || []).map(fn => ({
-        name: fn[0],
-        folder: fn[1],
-      })),
-    }
-    
-    return {
-      statusCode: 200,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify(response)
-    }
-  } catch (error) {
-    console.error('Error parsing Arc file:', error)
-    return {
-      statusCode: 500,
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({
-        error: 'Failed to parse Arc file',
-        message: error.message,
-      })
+    const data = await readArcData()
+    const tag = etag(JSON.stringify(data))
+    if (notModified(req?.headers?.['if-none-match'], tag)) {
+      return json(304, undefined, { etag: tag })
     }
+    return json(200, data, { etag: tag })
+  }
+  catch (error) {
+    console.error('Error reading the Architect project:', error)
+    // Inventory errors (e.g. an invalid manifest) list what's wrong
+    const errors = error.ARC_ERRORS?.errors
+    return json(error.notFound ? 404 : 500, {
+      error: error.notFound ? 'No Architect project found' : 'Failed to read the Architect project',
+      message: error.message,
+      ...errors && { errors },
+    })
   }
 }
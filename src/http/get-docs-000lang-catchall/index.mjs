@@ -1,88 +1,46 @@
-import { readFileSync } from 'fs'
+import { existsSync, readFileSync } from 'fs'
 import { join } from 'path'
 import arc from '@architect/functions'
-import { Arcdown } from 'arcdown'
-import anchor from 'markdown-it-anchor'
-import markdownItArcStaticImg from 'markdown-it-arc-static-img'
-import { redirect as redirectMiddleware } from '@architect/shared/redirect-map.mjs'
+import { redirect as redirectMiddleware, permanentRedirects, tempRedirects } from '@architect/shared/redirect-map.mjs'
 import notFoundResponse from '@architect/shared/not-found-response.mjs'
-import algolia from '@architect/views/modules/components/algolia.mjs'
 import Html from '@architect/views/modules/document/html.mjs'
 import NotFound from '@architect/views/modules/components/not-found.mjs'
+import suggest from '@architect/views/modules/helpers/suggest.mjs'
 import toc from '@architect/views/docs/table-of-contents.mjs'
-import classMap from './markdown-class-mappings.mjs'
+import { docPaths, prerenderedDir, renderDoc } from '@architect/views/docs/render.mjs'
+import versions, { parseVersion } from '@architect/views/docs/versions.mjs'
 
 const cache = {} // cheap warm cache
 
+// Serve the build-time render when available; sandbox always renders fresh markdown
+function readPrerendered (active) {
+  if (process.env.ARC_ENV === 'testing') return
+  const file = join(prerenderedDir, `${active}.html`)
+  if (existsSync(file)) return readFileSync(file, 'utf8')
+}
+
 async function handler (req) {
   const { path, pathParameters } = req
   const { lang, proxy } = pathParameters
   const parts = proxy.split('/')
-  const docName = parts.pop()
+  let docName = parts.pop()
+  // Trailing slash, e.g. /docs/en/guides/
+  if (!docName && parts.length) docName = parts.pop()
 
   if (docName === 'playground')
     return { statusCode: 303, headers: { location: '/playground' } }
 
-  const doc = `${docName}.md`
-  const active = join(
-    '/docs',
-    lang,
-    ...parts,
-    docName,
-  )
-  let editURL = 'https://github.com/architect/arc.codes/edit/main/src/views/docs/'
-  editURL += join(lang, ...parts, doc)
-
-  const filePath = join(
-
-    new URL('.', import.meta.url).pathname,
-    'node_modules',
-    '@architect',
-    'views',
-    'docs',
-    lang,
-    ...parts,
-    doc,
-  )
+  const { active } = docPaths({ lang, parts, docName })
 
   try {
     let body
 
-    if (cache[filePath]) {
-      body = cache[filePath]
+    if (cache[active]) {
+      body = cache[active]
     }
     else {
-      const md = readFileSync(filePath, 'utf8')
-      const arcdown = new Arcdown({
-        hljs: { classString: 'hljs mb0 mb1-lg relative' },
-        plugins: { markdownItArcStaticImg },
-        pluginOverrides: {
-          markdownItClass: classMap,
-          markdownItToc: {
-            containerClass: 'toc',
-          },
-          markdownItAnchor: {
-            permalink: anchor.permalink.headerLink({
-              class: 'text-p1 text-h1 text-a2 no-underline underline-h',
-            }),
-          },
-        },
-      })
-      const result = await arcdown.render(md)
-      body = cache[filePath] = Html({
-        ...result,
-        active,
-        editURL,
-        lang,
-        path,
-        scripts: [
-          '/index.js',
-          '/components/arc-viewer.js',
-          '/components/arc-tab.js',
-        ],
-        thirdparty: algolia(lang),
-        toc,
-      })
+      body = cache[active] = readPrerendered(active) ||
+        await renderDoc({ lang, parts, docName, path })
     }
 
     return {
@@ -95,18 +53,22 @@ async function handler (req) {
     }
   }
   catch (error) {
-    // TODO: Load category "index" landing if available
     console.error(error)
+    const { version } = parseVersion(parts.concat([ docName ]))
     return {
       ...notFoundResponse,
       body: Html({
         active,
-        html: NotFound({ term: docName, error }),
+        html: NotFound({
+          term: docName,
+          error,
+          suggestions: suggest({ term: path, toc, lang, redirects: { ...tempRedirects, ...permanentRedirects } }),
+        }),
         lang,
         scripts: [ '/index.js' ],
         state: { notFoundTerm: docName },
-        thirdparty: algolia(lang),
-        toc,
+        toc: versions[version].toc,
+        version,
       }),
     }
   }
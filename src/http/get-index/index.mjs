@@ -4,11 +4,13 @@ import styleTransform from '@enhance/enhance-style-transform'
 import { getStyles } from '@enhance/arc-plugin-styles'
 
 import elements from '@architect/views/landing/elements.mjs'
+import { renderExamples } from '@architect/views/landing/support/render-examples.mjs'
 
 export async function handler () {
   const html = enhance({
     styleTransforms: [ styleTransform ],
     elements,
+    initialState: { examples: await renderExamples() },
   })
 
   return {
@@ -79,6 +81,7 @@ export async function handler () {
   </head>
   <body class="font-sans leading4">
     <arc-landing></arc-landing>
+    <script type="module" src="${arc.static('landing/examples.js')}"></script>
   </body>
 </html>
 `,
@@ -0,0 +1,20 @@
+import arc from '@architect/functions'
+import notFoundResponse from '@architect/shared/not-found-response.mjs'
+import { validSnippetId } from '@architect/shared/snippets.mjs'
+
+// Short playground links: /playground/s/<id> → the playground, which loads the share from GET /api/snippets/<id>
+// - Not ?z=<share>: saved shares are the ones too long for a link
+async function load (req) {
+  const { id } = req.pathParameters
+  if (!validSnippetId(id)) return notFoundResponse
+  const { snippets } = await arc.tables()
+  const snippet = await snippets.get({ id })
+  if (!snippet) return notFoundResponse
+
+  return {
+    statusCode: 302,
+    headers: { location: `/playground?s=${id}` },
+  }
+}
+
+export const handler = arc.http.async(load)
@@ -0,0 +1,35 @@
+import { packageResponse } from '@architect/shared/package/index.mjs'
+import { limited, maxManifestBytes, tooLarge, tooMany } from '@architect/shared/package/limits.mjs'
+
+const badRequest = message => ({
+  statusCode: 400,
+  headers: { 'content-type': 'application/json; charset=utf8' },
+  body: JSON.stringify({ message }),
+})
+
+// POST /api/package with a JSON body: { arc: '<manifest text>', format, to, stage, region, architecture, runtime }
+export async function handler (req) {
+  const raw = req.isBase64Encoded ? Buffer.from(req.body || '', 'base64') : Buffer.from(req.body || '')
+  // Leave room for the other (short) body params
+  if (raw.length > maxManifestBytes + 1024) return tooLarge()
+  const retryAfter = await limited(req)
+  if (retryAfter) return tooMany(retryAfter)
+
+  let body
+  try {
+    body = JSON.parse(raw.toString())
+  }
+  catch {
+    return badRequest('Expected a JSON body')
+  }
+  const { arc, ...params } = body || {}
+  if (typeof arc !== 'string') return badRequest('Expected a manifest (`arc`) string')
+  if (Buffer.byteLength(arc) > maxManifestBytes) return tooLarge()
+
+  return packageResponse({
+    source: arc,
+    params,
+    headers: req.headers,
+    context: { requestId: req.requestContext?.requestId, method: 'POST' },
+  })
+}
@@ -0,0 +1,27 @@
+import arc from '@architect/functions'
+import { limited, snippetRateLimit, tooMany } from '@architect/shared/package/limits.mjs'
+import { snippetId, validShare } from '@architect/shared/snippets.mjs'
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json; charset=utf8' },
+  body: JSON.stringify(body),
+})
+
+// Saves an encoded playground share, and returns a short ID for /playground/s/<id>
+async function save (req) {
+  // Each save is a public write to DynamoDB
+  const retryAfter = await limited(req, snippetRateLimit)
+  if (retryAfter) return tooMany(retryAfter)
+
+  const { share } = req.body || {}
+  if (!validShare(share)) return json(400, { message: 'Expected an encoded playground share' })
+
+  const id = snippetId(share)
+  // In Sandbox, arc.tables() talks to the local (in-memory) DynamoDB
+  const { snippets } = await arc.tables()
+  await snippets.put({ id, share, created: new Date().toISOString() })
+  return json(201, { id, url: `/playground/s/${id}` })
+}
+
+export const handler = arc.http.async(save)
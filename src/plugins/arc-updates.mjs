@@ -0,0 +1,65 @@
+import { createServer } from 'http'
+import { basename } from 'path'
+import { updater } from '@architect/utils'
+
+// Arc Viewer change notifications: a server-sent events stream, pushed to whenever Sandbox sees the project change
+// - Sandbox restarts (and so re-runs sandbox.start) when the manifest changes; other changes come via sandbox.watcher
+// - Messages only say something changed; the viewer then revalidates /arc-data with its ETag
+const update = updater('Arc updates')
+const port = Number(process.env.ARC_UPDATES_PORT) || 3334
+const url = `http://localhost:${port}/arc-updates`
+
+// Besides the manifest, function config.arc files change what /arc-data returns
+const watched = [ 'config.arc' ]
+
+const clients = new Set()
+let server
+
+function broadcast () {
+  const message = JSON.stringify({ type: 'arc-changed' })
+  for (const res of clients) res.write(`data: ${message}\n\n`)
+}
+
+function listen () {
+  server = createServer((req, res) => {
+    if (!req.url.startsWith('/arc-updates')) {
+      res.writeHead(404).end()
+      return
+    }
+    res.writeHead(200, {
+      'access-control-allow-origin': '*',
+      'cache-control': 'no-cache',
+      'content-type': 'text/event-stream',
+    })
+    // Clients reconnect on their own, after this many ms
+    res.write('retry: 3000\n\n')
+    clients.add(res)
+    req.on('close', () => clients.delete(res))
+  })
+  server.on('error', err => {
+    update.warn(`Could not start on port ${port} (${err.message}); the Arc Viewer will poll /arc-data instead`)
+    server = null
+  })
+  server.listen(port)
+  // Don't keep Sandbox running once it's done
+  server.unref()
+}
+
+export default {
+  set: {
+    // Tells /arc-data where to point the viewer; Sandbox only
+    env () {
+      return { testing: { ARC_UPDATES_URL: url } }
+    },
+  },
+  sandbox: {
+    start () {
+      // The server outlives Sandbox restarts, so a restart means the manifest changed
+      if (server) broadcast()
+      else listen()
+    },
+    watcher ({ filename }) {
+      if (watched.includes(basename(filename))) broadcast()
+    },
+  },
+}
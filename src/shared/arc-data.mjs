@@ -0,0 +1,140 @@
+import { createHash } from 'crypto'
+import { existsSync, statSync } from 'fs'
+import { isAbsolute, relative, resolve, sep } from 'path'
+import inventory from '@architect/inventory'
+
+// Pragmas that define functions, in the order the viewer lists them
+export const functionPragmas = [ 'http', 'events', 'queues', 'scheduled', 'ws', 'tables-streams', 'customLambdas' ]
+
+// Sandbox passes the project root to each function; otherwise, assume we're running in it
+export function projectDir (env = process.env) {
+  try {
+    const { cwd } = JSON.parse(env.ARC_SANDBOX || '{}')
+    if (cwd) return cwd
+  }
+  catch {
+    // Not Sandbox
+  }
+  return process.cwd()
+}
+
+// The parts of a Lambda the viewer needs; paths are relative to the project
+function fn (lambda, cwd) {
+  const { name, pragma, src, handlerFile, configFile, config } = lambda
+  const path = file => file && relative(cwd, file)
+  return {
+    name,
+    pragma,
+    src: path(src),
+    handlerFile: path(handlerFile),
+    // Set when the function's config.arc overrides any settings
+    configFile: path(configFile),
+    config: {
+      runtime: config.runtime,
+      architecture: config.architecture,
+      memory: config.memory,
+      timeout: config.timeout,
+    },
+  }
+}
+
+// Plugin hooks, e.g. [ 'set.http', 'deploy.start' ]
+function hooks (plugin) {
+  return Object.entries(plugin).flatMap(([ method, value ]) => typeof value === 'function'
+    ? [ method ]
+    : Object.keys(value || {}).map(sub => `${method}.${sub}`))
+}
+
+export function arcData (inv) {
+  const { cwd, manifest } = inv._project
+  const lambdas = pragma => (inv[pragma] || []).map(lambda => fn(lambda, cwd))
+  const functions = functionPragmas.flatMap(lambdas)
+  const indexes = inv['tables-indexes'] || []
+  const plugins = Object.entries(inv.plugins || {}).filter(([ name ]) => name !== '_methods')
+
+  return {
+    app: inv.app,
+    manifest: manifest && relative(cwd, manifest),
+    routes: (inv.http || []).map(lambda => ({
+      method: lambda.method,
+      path: lambda.path,
+      ...fn(lambda, cwd),
+    })),
+    // Every function other than @http routes, with what triggers it
+    lambdas: functions.filter(({ pragma }) => pragma !== 'http').map(lambda => {
+      const { rate, cron, table } = inv[lambda.pragma].find(({ name }) => name === lambda.name)
+      if (lambda.pragma === 'scheduled') return { ...lambda, schedule: rate ? `rate(${rate.expression})` : `cron(${cron.expression})` }
+      if (lambda.pragma === 'tables-streams') return { ...lambda, table }
+      return lambda
+    }),
+    tables: (inv.tables || []).map(table => ({
+      name: table.name,
+      partitionKey: table.partitionKey,
+      partitionKeyType: table.partitionKeyType,
+      sortKey: table.sortKey,
+      sortKeyType: table.sortKeyType,
+      ttl: table.ttl,
+      indexes: indexes
+        .filter(({ name }) => name === table.name)
+        .map(({ indexName, partitionKey, partitionKeyType, sortKey, sortKeyType }) => ({
+          name: indexName,
+          partitionKey,
+          partitionKeyType,
+          sortKey,
+          sortKeyType,
+        })),
+      streams: (inv['tables-streams'] || []).filter(stream => stream.table === table.name).map(({ name }) => name),
+    })),
+    static: inv.static && {
+      folder: inv.static.folder,
+      fingerprint: inv.static.fingerprint,
+      spa: inv.static.spa,
+      prefix: inv.static.prefix,
+    },
+    plugins: plugins.map(([ name, plugin ]) => ({ name, hooks: hooks(plugin) })),
+    // Every function's resolved handler directory
+    functions: functions.map(({ name, pragma, src, handlerFile }) => ({ name, pragma, src, handlerFile })),
+  }
+}
+
+// Reads any manifest inventory supports (app.arc, arc.json, arc.yaml, package.json), including config.arc overrides
+export async function readArcData (cwd = projectDir()) {
+  const { inv } = await inventory({ cwd })
+  if (!inv._project.manifest) {
+    const err = Error(`No Architect manifest found in ${cwd}`)
+    err.notFound = true
+    throw err
+  }
+  return arcData(inv)
+}
+
+// A strong ETag for a serialized /arc-data response, so polling clients only download changes
+export function etag (body) {
+  return `"${createHash('sha1').update(body).digest('base64url')}"`
+}
+
+// Whether an If-None-Match header (which may list several tags, or be *) matches
+export function notModified (ifNoneMatch, tag) {
+  if (!ifNoneMatch) return false
+  return ifNoneMatch.split(',').some(value => {
+    value = value.trim().replace(/^W\//, '')
+    return value === '*' || value === tag
+  })
+}
+
+
+// A project file's absolute path, or null if the path isn't relative, or leads out of the project
+export function projectFile (path, cwd = projectDir()) {
+  if (typeof path !== 'string' || !path || isAbsolute(path)) return null
+  const file = resolve(cwd, path)
+  const rel = relative(cwd, file)
+  if (rel === '..' || rel.startsWith(`..${sep}`) || isAbsolute(rel)) return null
+  return file
+}
+
+// Whether a project file (or directory, e.g. a function's src) exists
+export function fileExists (path, cwd = projectDir()) {
+  const file = projectFile(path, cwd)
+  const exists = Boolean(file) && existsSync(file)
+  return { path, exists, directory: exists && statSync(file).isDirectory() }
+}
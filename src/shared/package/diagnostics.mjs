@@ -0,0 +1,96 @@
+// Official pragmas are the top-level (non-underscored) keys of an inventory
+const pragmasOf = inv => Object.keys(inv).filter(key => !key.startsWith('_') && key !== 'customLambdas' && !key.startsWith('lambda'))
+
+const retired = [ 'indexes', 'macros', 'slack', 'streams' ]
+
+// How each manifest syntax opens a pragma: `@http`, `http:`, or a top-level `"http":` key
+const pragmaLine = {
+  arc: /^@([\w-]+)/,
+  json: /^\s{0,2}"([\w-]+)"\s*:/,
+  yaml: /^([\w-]+):/,
+}
+
+// Where each pragma starts and ends in the raw manifest (0-indexed lines)
+function sections (rawArc, format = 'arc') {
+  const lines = rawArc.split('\n')
+  const found = []
+  lines.forEach((line, i) => {
+    const pragma = line.match(pragmaLine[format] || pragmaLine.arc)
+    if (pragma) {
+      if (found.length) found[found.length - 1].end = i
+      found.push({ pragma: pragma[1], start: i, end: lines.length })
+    }
+  })
+  return { lines, found }
+}
+
+// Finds the line an inventory error refers to, e.g. "Invalid @http method: foo /bar" → the `foo /bar` line under @http
+function locate ({ rawArc, format, pragma, item, last }) {
+  const { lines, found } = sections(rawArc, format)
+  // Without a matching pragma (e.g. legacy @macros loaded as plugins), search the whole manifest
+  const section = found.find(s => s.pragma === pragma) || { start: -1, end: lines.length }
+
+  const matches = []
+  if (item) {
+    for (let i = section.start + 1; i < section.end; i++) {
+      const column = lines[i].indexOf(item)
+      if (column > -1 && !lines[i].trim().startsWith('#')) matches.push({ line: i + 1, column: column + 1 })
+    }
+  }
+  if (matches.length) return last ? matches[matches.length - 1] : matches[0]
+  return { line: Math.max(section.start + 1, 1), column: 1 }
+}
+
+function fromMessage ({ rawArc, format, message }) {
+  // Parser errors carry a position: "Problem reading rawArc: closing quote not found (line: 5 column: 3)"
+  const position = message.match(/\(line: (\d+) column: (\d+)\)/)
+  if (position) {
+    const line = Number(position[1])
+    const { found } = sections(rawArc, format)
+    const section = found.filter(s => s.start < line).pop()
+    return {
+      pragma: section?.pragma || null,
+      line,
+      column: Number(position[2]),
+      message: message.replace(/^Problem reading rawArc: /, '').replace(position[0], '').trim(),
+    }
+  }
+
+  // Validation errors name the pragma, and usually the offending item after the last colon
+  const pragma = message.match(/@([\w-]+)/)?.[1] || (message.includes('plugin') ? 'plugins' : null)
+  const quoted = message.match(/'([^']+)'/)?.[1]
+  const trailing = message.includes(': ') ? message.slice(message.lastIndexOf(': ') + 2).replace(/^'|'$/g, '') : null
+  const item = trailing || quoted
+  const { line, column } = locate({ rawArc, format, pragma, item, last: message.startsWith('Duplicate') })
+  return { pragma, line, column, message }
+}
+
+// Inventory errors → [ { pragma, line, column, message, severity } ]; unexpected errors yield none
+// - Lines refer to the manifest as written; for JSON + YAML they are best effort, as inventory validates the converted .arc
+export function diagnose (err, rawArc = '', format = 'arc') {
+  const errors = err?.ARC_ERRORS?.errors
+  if (!Array.isArray(errors)) return []
+  return errors.map(message => ({ ...fromMessage({ rawArc, format, message }), severity: 'error' }))
+}
+
+// A warning about an item in the manifest, e.g. a plugin the playground skipped
+export function warn ({ rawArc = '', format = 'arc', pragma, item, message }) {
+  const { line, column } = locate({ rawArc, format, pragma, item })
+  return { pragma, line, column, message, severity: 'warning' }
+}
+
+// Inventory ignores pragmas it doesn't know, so typos (e.g. `@tablez`) would otherwise fail silently
+export function warnings ({ inv }, rawArc = '', format = 'arc') {
+  const known = pragmasOf(inv)
+  return sections(rawArc, format).found
+    .filter(({ pragma }) => !known.includes(pragma))
+    .map(({ pragma, start }) => ({
+      pragma,
+      line: start + 1,
+      column: 1,
+      message: retired.includes(pragma)
+        ? `@${pragma} has been retired, and will be ignored`
+        : `Unknown pragma @${pragma} will be ignored`,
+      severity: 'warning',
+    }))
+}
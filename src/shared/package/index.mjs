@@ -0,0 +1,99 @@
+import inventory from '@architect/inventory'
+import pkg from '@architect/package'
+import { dump } from 'js-yaml'
+import { diagnose, warn, warnings } from './diagnostics.mjs'
+import { log, withTimeout } from './limits.mjs'
+import { convert, detect, formats, toArc } from './manifest.mjs'
+import { packageOptions, resolved, withAws } from './options.mjs'
+import { allowPlugins, allowlist, deployStart, sandboxDir } from './plugins.mjs'
+import { starter } from './starter.mjs'
+
+const json = (statusCode, body) => ({
+  statusCode,
+  headers: { 'content-type': 'application/json; charset=utf8' },
+  body: JSON.stringify(body),
+})
+
+// Besides JSON (the default), the template is available as YAML, and the manifest as a zipped starter project
+function accepts (headers = {}) {
+  const accept = headers.accept || headers.Accept || ''
+  if (/\bapplication\/zip\b/.test(accept)) return 'zip'
+  if (/\b(application|text)\/(x-)?yaml\b/.test(accept)) return 'yaml'
+  return 'json'
+}
+
+async function build ({ source, format, options, type }) {
+  const cwd = sandboxDir()
+  const { rawArc, skipped } = allowPlugins(withAws(toArc(source, format), options.aws))
+  const inv = await inventory({ rawArc, cwd, deployStage: options.stage })
+  const { cloudformation, failed } = await deployStart({ inventory: inv, cloudformation: pkg(inv), stage: options.stage })
+
+  if (type === 'yaml') {
+    return {
+      statusCode: 200,
+      headers: { 'content-type': 'application/yaml; charset=utf8' },
+      body: dump(cloudformation, { lineWidth: -1, noRefs: true }),
+    }
+  }
+  if (type === 'zip') {
+    // Starter projects get the manifest as written, so @aws options aren't applied
+    const zip = await starter({ source, format, rawArc: allowPlugins(toArc(source, format)).rawArc, inventory: inv })
+    return {
+      statusCode: 200,
+      headers: {
+        'content-type': 'application/zip',
+        'content-disposition': `attachment; filename="${inv.inv.app}.zip"`,
+      },
+      isBase64Encoded: true,
+      body: zip.toString('base64'),
+    }
+  }
+
+  const diagnostics = warnings(inv, source, format).concat(
+    skipped.map(({ pragma, name }) => warn({
+      rawArc: source, format, pragma, item: name,
+      message: `${name} isn't available in the playground, so it was skipped (available plugins: ${allowlist.join(', ')})`,
+    })),
+    failed.map(({ name, message }) => warn({
+      rawArc: source, format, pragma: 'plugins', item: name,
+      message: `${name} failed, so its changes are missing from the preview: ${message}`,
+    })),
+  )
+  return { options: resolved(inv, options.stage), template: cloudformation, diagnostics }
+}
+
+// Packages a manifest (`source`, as written) into a response for GET + POST /api/package
+// - `params`: { format, to, stage, region, architecture, runtime }; `context` is added to failure logs
+export async function packageResponse ({ source = '', params = {}, headers = {}, context = {} }) {
+  let options
+  try {
+    options = packageOptions(params)
+  }
+  catch (e) {
+    return json(400, { message: e.message, errors: e.errors })
+  }
+
+  const format = formats.includes(params.format) ? params.format : detect(source)
+  let manifest
+  try {
+    // Conversion only needs a parseable manifest, so it's available even when validation fails
+    if (params.to) manifest = { format: params.to, text: convert(source, params.to, format) }
+    const result = await withTimeout(build({ source, format, options, type: accepts(headers) }))
+    if (result.statusCode) return result
+    return json(200, { format, manifest, ...result })
+  }
+  catch (e) {
+    const diagnostics = diagnose(e, source, format)
+    // Manifest problems are the caller's to fix, so they get the details; anything else is on us, and stays in the logs
+    if (diagnostics.length) return json(400, { message: e.message, format, manifest, diagnostics })
+    const statusCode = e.timeout ? 503 : 500
+    log({ ...context, event: 'package-failed', statusCode, format, bytes: Buffer.byteLength(source), error: e })
+    return json(statusCode, {
+      message: e.timeout ? 'Packaging this manifest took too long' : 'Something went wrong packaging this manifest',
+      requestId: context.requestId,
+      format,
+      manifest,
+      diagnostics,
+    })
+  }
+}
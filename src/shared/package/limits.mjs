@@ -0,0 +1,76 @@
+import { createHash } from 'crypto'
+import arc from '@architect/functions'
+
+// Manifests larger than this are refused before anything parses them
+export const maxManifestBytes = 64 * 1024
+
+// Packaging gives up well before the function's own timeout (see config.arc), so callers get a real response
+export const executionTimeout = 10 * 1000
+
+// Requests per source IP, per window (in seconds)
+export const rateLimit = { requests: 60, window: 60 }
+
+// Saved playground shares (POST /api/snippets) are writes, so they get a smaller budget of their own
+export const snippetRateLimit = { requests: 10, window: 60, scope: 'snippets' }
+
+export function withTimeout (promise, ms = executionTimeout) {
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = Error(`Timed out after ${ms / 1000}s`)
+      err.timeout = true
+      reject(err)
+    }, ms)
+  })
+  return Promise.race([ promise, timeout ]).finally(() => clearTimeout(timer))
+}
+
+// One JSON line per event, so failures can be searched + graphed in CloudWatch
+export function log ({ error, ...details }) {
+  const entry = { level: 'error', ...details }
+  if (error) entry.error = { name: error.name, message: error.message, stack: error.stack }
+  console.error(JSON.stringify(entry))
+}
+
+// Fixed-window request counts in the `ratelimits` table, keyed by (hashed) source IP, plus `scope` if any; returns seconds to wait, or 0
+// - Fails open: if the table is unavailable, requests go through (and the failure is logged)
+export async function limited (req, { requests, window, scope } = rateLimit) {
+  const ip = req.requestContext?.http?.sourceIp || 'unknown'
+  const now = Math.floor(Date.now() / 1000)
+  const start = now - (now % window)
+  const key = [ scope, createHash('sha256').update(ip).digest('base64url'), start ].filter(Boolean).join('#')
+  try {
+    const { ratelimits } = await arc.tables()
+    const { Attributes } = await ratelimits.update({
+      Key: { key },
+      UpdateExpression: 'ADD #count :one SET #expires = if_not_exists(#expires, :expires)',
+      ExpressionAttributeNames: { '#count': 'count', '#expires': 'expires' },
+      ExpressionAttributeValues: { ':one': 1, ':expires': start + (window * 2) },
+      ReturnValues: 'UPDATED_NEW',
+    })
+    return Attributes.count > requests ? start + window - now : 0
+  }
+  catch (error) {
+    log({ event: 'rate-limit-failed', requestId: req.requestContext?.requestId, error })
+    return 0
+  }
+}
+
+export function tooMany (retryAfter) {
+  return {
+    statusCode: 429,
+    headers: {
+      'content-type': 'application/json; charset=utf8',
+      'retry-after': String(retryAfter),
+    },
+    body: JSON.stringify({ message: `Too many requests; try again in ${retryAfter}s` }),
+  }
+}
+
+export function tooLarge () {
+  return {
+    statusCode: 413,
+    headers: { 'content-type': 'application/json; charset=utf8' },
+    body: JSON.stringify({ message: `Manifests are limited to ${maxManifestBytes / 1024} KB` }),
+  }
+}
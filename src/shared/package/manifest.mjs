@@ -0,0 +1,122 @@
+import parse from '@architect/parser'
+import { dump } from 'js-yaml'
+
+// Manifest syntaxes Architect reads (TOML support was removed in Architect 10)
+export const formats = [ 'arc', 'json', 'yaml' ]
+
+export function detect (text = '') {
+  const body = text.replace(/^\s*#.*$/gm, '').trim()
+  if (body.startsWith('{')) return 'json'
+  if (/^@[\w-]+/m.test(body)) return 'arc'
+  if (/^\[[\w.-]+\]\s*$/m.test(body) || /^[\w-]+\s*=/m.test(body)) return 'toml'
+  if (/^(---|[\w-]+:)/m.test(body)) return 'yaml'
+  return 'arc'
+}
+
+// Surface syntax errors the same way inventory does, with a position diagnostics can pick up
+function manifestError (message, line, column) {
+  const position = line ? ` (line: ${line} column: ${column})` : ''
+  const err = Error(`Manifest error: ${message}${position}`)
+  err.ARC_ERRORS = { type: 'manifest', errors: [ `${message}${position}` ] }
+  return err
+}
+
+function jsonPosition (text, message) {
+  const lineCol = message.match(/line (\d+) column (\d+)/)
+  if (lineCol) return [ Number(lineCol[1]), Number(lineCol[2]) ]
+  const position = message.match(/at position (\d+)/)
+  if (!position) return []
+  const before = text.slice(0, Number(position[1])).split('\n')
+  return [ before.length, before[before.length - 1].length + 1 ]
+}
+
+// Parsed (JS) form of a manifest, in any supported syntax
+function toObject (text, format) {
+  if (format === 'toml') {
+    throw manifestError('TOML manifests are no longer supported by Architect; use .arc, JSON, or YAML')
+  }
+  if (format === 'json') {
+    try {
+      return parse.json(text)
+    }
+    catch (err) {
+      throw manifestError(err.message.replace(/ \(line \d+ column \d+\)$/, ''), ...jsonPosition(text, err.message))
+    }
+  }
+  if (format === 'yaml') {
+    try {
+      return parse.yaml(text)
+    }
+    catch (err) {
+      const { mark } = err
+      throw manifestError(err.reason || err.message, mark && mark.line + 1, mark && mark.column + 1)
+    }
+  }
+  return parseArc(text)
+}
+
+// .arc parser errors (e.g. an unclosed quote) as manifest errors, for code that parses before inventory does
+export function parseArc (text) {
+  try {
+    return parse(text)
+  }
+  catch (err) {
+    if (!err.line) throw err
+    throw manifestError(err.message.replace(/ \(line: \d+ column: \d+\)$/, ''), err.line, err.column)
+  }
+}
+
+// Inventory only reads .arc, so other syntaxes are converted first
+export function toArc (text, format = detect(text)) {
+  if (format === 'arc') return text
+  return parse.stringify(toObject(text, format))
+}
+
+const isScalar = value => value === null || typeof value !== 'object'
+
+// Friendlier JSON + YAML authoring: `app` as a string, and settings pragmas (@aws, etc.) as objects
+function friendly (arc) {
+  const result = {}
+  for (const [ pragma, values ] of Object.entries(arc)) {
+    const settings = [ 'aws', 'cdn', 'static' ].includes(pragma) &&
+      values.every(item => Array.isArray(item) && item.length === 2)
+    if (pragma === 'app' && values.length === 1) result[pragma] = values[0]
+    else if (settings) result[pragma] = Object.fromEntries(values)
+    else result[pragma] = values
+  }
+  return result
+}
+
+// JSON with tuples (e.g. `["get", "/"]`) kept on one line, as in the docs
+function json (value, indent = '') {
+  if (isScalar(value)) return JSON.stringify(value)
+  const next = `${indent}  `
+  if (Array.isArray(value)) {
+    if (!value.length) return '[]'
+    if (value.every(isScalar)) return `[${value.map(v => JSON.stringify(v)).join(', ')}]`
+    return `[\n${value.map(v => next + json(v, next)).join(',\n')}\n${indent}]`
+  }
+  const entries = Object.entries(value)
+  if (!entries.length) return '{}'
+  return `{\n${entries.map(([ k, v ]) => `${next}${JSON.stringify(k)}: ${json(v, next)}`).join(',\n')}\n${indent}}`
+}
+
+// YAML with tuples in flow style (e.g. `- [ get, / ]`), and everything else in block style
+function yamlDump (value) {
+  return Object.entries(value).map(([ pragma, values ]) => {
+    if (!Array.isArray(values)) return dump({ [pragma]: values })
+    const items = values.map(item => Array.isArray(item) && item.every(isScalar)
+      ? `- [ ${item.map(v => dump(v, { flowLevel: 0 }).trim()).join(', ')} ]\n`
+      : dump([ item ]))
+    return `${pragma}:\n${items.join('').replace(/^/gm, '  ').trimEnd()}\n`
+  }).join('\n')
+}
+
+// Converts a manifest between syntaxes, e.g. app.arc → arc.yaml
+export function convert (text, to, from = detect(text)) {
+  const arc = toObject(text, from)
+  if (to === 'json') return `${json(friendly(arc))}\n`
+  if (to === 'yaml') return yamlDump(friendly(arc))
+  if (to === 'arc') return parse.stringify(arc)
+  throw manifestError(`Cannot convert to ${to}; use ${formats.join(', ')}`)
+}
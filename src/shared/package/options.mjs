@@ -0,0 +1,53 @@
+import parse from '@architect/parser'
+import { parseArc } from './manifest.mjs'
+import lambdaRuntimes from 'lambda-runtimes'
+
+const { aliases, runtimeList } = lambdaRuntimes
+
+export const stages = [ 'staging', 'production' ]
+export const architectures = [ 'arm64', 'x86_64' ]
+const region = /^[a-z]{2}(-gov|-iso[a-z]?)?-[a-z]+-\d$/
+
+// Options may come from a JSON body, so anything that isn't a string is as invalid as an unknown value
+const validRuntime = runtime => typeof runtime === 'string' &&
+  (runtimeList.includes(runtime) || runtime === 'deno' || Boolean(aliases[runtime.toLowerCase()]))
+
+// Package options from the request: { stage, aws: { region, architecture, runtime } }
+// - Unset @aws options defer to the manifest; invalid options throw with a list of `errors`
+export function packageOptions (params = {}) {
+  const { stage = 'staging' } = params
+  const errors = []
+  if (!stages.includes(stage)) errors.push(`Invalid stage: ${stage} (use ${stages.join(' or ')})`)
+  if (params.region && !(typeof params.region === 'string' && region.test(params.region))) errors.push(`Invalid region: ${params.region}`)
+  if (params.architecture && !architectures.includes(params.architecture)) {
+    errors.push(`Invalid architecture: ${params.architecture} (use ${architectures.join(' or ')})`)
+  }
+  if (params.runtime && !validRuntime(params.runtime)) errors.push(`Invalid runtime: ${params.runtime}`)
+  if (errors.length) {
+    const err = Error(`Invalid package options: ${errors.join(', ')}`)
+    err.errors = errors
+    throw err
+  }
+
+  const aws = {}
+  for (const setting of [ 'region', 'architecture', 'runtime' ]) {
+    if (params[setting]) aws[setting] = params[setting]
+  }
+  return { stage, aws }
+}
+
+// Overrides a manifest's @aws settings, e.g. { region: 'eu-west-1' } → `@aws region eu-west-1`
+export function withAws (rawArc, aws = {}) {
+  const settings = Object.keys(aws)
+  if (!settings.length) return rawArc
+  const arc = parseArc(rawArc)
+  const kept = (arc.aws || []).filter(item => !(Array.isArray(item) && settings.includes(item[0])))
+  arc.aws = kept.concat(Object.entries(aws))
+  return parse.stringify(arc)
+}
+
+// The settings a template was packaged with, whether they came from the request, the manifest, or Architect's defaults
+export function resolved ({ inv }, stage) {
+  const { architecture, runtime } = inv._project.defaultFunctionConfig
+  return { stage, region: inv.aws.region, architecture, runtime }
+}
@@ -0,0 +1,92 @@
+import { mkdirSync, mkdtempSync, symlinkSync } from 'fs'
+import { createRequire } from 'module'
+import { tmpdir } from 'os'
+import { dirname, join } from 'path'
+import parse from '@architect/parser'
+import { parseArc } from './manifest.mjs'
+
+const require = createRequire(import.meta.url)
+
+// Plugins the playground runs: bundled dependencies only, as shared manifests can't ship plugin code
+// - Their hooks run on a public endpoint, so only list plugins whose hooks don't touch the filesystem (e.g. not plugin-node-prune, which deletes files from every function)
+export const allowlist = [
+  'enhance/arc-plugin-styles',
+]
+
+// Hooks get this long to finish before the preview gives up on them
+const hookTimeout = 5000
+
+// An otherwise empty project root, so plugins (and inventory) can't see or touch this function's own files
+// - Its node_modules only links the allowlisted plugins' bundled copies
+let sandbox
+export function sandboxDir () {
+  if (sandbox) return sandbox
+  sandbox = mkdtempSync(join(tmpdir(), 'arc-playground-'))
+  for (const name of allowlist) {
+    const main = require.resolve(`@${name}`)
+    const pkg = main.slice(0, main.lastIndexOf(`@${name}`) + name.length + 1)
+    const link = join(sandbox, 'node_modules', `@${name}`)
+    mkdirSync(dirname(link), { recursive: true })
+    symlinkSync(pkg, link, 'dir')
+  }
+  return sandbox
+}
+
+// Keeps allowlisted @plugins, and returns the rest as `skipped`; @macros are always local code, so they're dropped
+export function allowPlugins (rawArc) {
+  const arc = parseArc(rawArc)
+  if (!arc.plugins && !arc.macros) return { rawArc, skipped: [] }
+
+  const skipped = []
+  const plugins = []
+  for (const plugin of arc.plugins || []) {
+    // Object-form plugins (`name` + `src`) point at local code
+    const name = typeof plugin === 'string' ? plugin : Object.keys(plugin)[0]
+    if (typeof plugin === 'string' && allowlist.includes(name)) plugins.push(name)
+    else skipped.push({ pragma: 'plugins', name })
+  }
+  // Retired @macros are already flagged by warnings()
+  delete arc.macros
+  if (plugins.length) arc.plugins = plugins
+  else delete arc.plugins
+  return { rawArc: parse.stringify(arc), skipped }
+}
+
+function timeout (name) {
+  let timer
+  const promise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Error(`${name} deploy.start hook timed out after ${hookTimeout / 1000}s`)), hookTimeout)
+  })
+  return { promise, clear: () => clearTimeout(timer) }
+}
+
+// Runs deploy.start hooks the way `arc deploy` does (as a dry run), each with a time limit
+// - A failing hook is reported in `failed`, and its changes are skipped
+export async function deployStart ({ inventory: full, cloudformation, stage }) {
+  const hooks = full.inv.plugins?._methods?.deploy?.start || []
+  const { arc, cwd } = full.inv._project
+  // Hooks only see the manifest's own (nonexistent) function dirs, not plugin-provided ones in node_modules
+  const inventory = {
+    ...full,
+    inv: { ...full.inv, lambdaSrcDirs: (full.inv.lambdaSrcDirs || []).filter(dir => dir.startsWith(cwd)) },
+  }
+  const stackName = `${full.inv.app}${stage[0].toUpperCase()}${stage.slice(1)}`
+  const failed = []
+  for (const hook of hooks) {
+    const name = hook._plugin
+    const limit = timeout(name)
+    try {
+      const params = { arc, cloudformation: structuredClone(cloudformation), dryRun: true, inventory, stackName, stage }
+      const result = await Promise.race([ hook(params), limit.promise ])
+      // Returning CloudFormation is optional
+      if (result) cloudformation = result
+    }
+    catch (err) {
+      failed.push({ name, message: err.message })
+    }
+    finally {
+      limit.clear()
+    }
+  }
+  return { cloudformation, failed }
+}
@@ -0,0 +1,91 @@
+import { mkdtempSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'fs'
+import { basename, isAbsolute, join, relative } from 'path'
+import create from '@architect/create'
+import readInventory from '@architect/inventory'
+import JSZip from 'jszip'
+import { allowlist, sandboxDir } from './plugins.mjs'
+
+// The Architect major version the docs cover (see currentVersion in src/views/docs/versions.mjs)
+const architect = '^11.0.0'
+
+// Manifest filenames Architect looks for, by syntax
+const filenames = {
+  arc: 'app.arc',
+  json: 'arc.json',
+  yaml: 'arc.yaml',
+}
+
+// Create reports problems via `update.error()`, then exits the process; throw first, so create's own error handling takes over
+const update = {
+  status () {},
+  done () {},
+  error (msg) {
+    throw msg instanceof Error ? msg : Error(msg)
+  },
+}
+
+function files (dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name)
+    return entry.isDirectory() ? files(path) : [ path ]
+  })
+}
+
+// Function folders outside the starter project; create would scaffold handlers there (e.g. `src ../../tmp/anything`)
+function outsideProject (inv, folder) {
+  return (inv.lambdaSrcDirs || []).filter(dir => {
+    const path = relative(folder, dir)
+    return path === '..' || path.startsWith('../') || isAbsolute(path)
+  })
+}
+
+// Same as `npm init @architect`, plus any allowlisted plugins the manifest uses
+function packageJson (name, plugins = []) {
+  const version = plugin => JSON.parse(readFileSync(join(sandboxDir(), 'node_modules', `@${plugin}`, 'package.json'))).version
+  const dependencies = Object.fromEntries(plugins
+    .filter(plugin => allowlist.includes(plugin))
+    .map(plugin => [ `@${plugin}`, `^${version(plugin)}` ]))
+  return {
+    name,
+    version: '0.0.0',
+    description: 'A fresh new Architect project!',
+    scripts: { start: 'npx sandbox' },
+    ...Object.keys(dependencies).length ? { dependencies } : {},
+    devDependencies: { '@architect/architect': architect },
+  }
+}
+
+// Scaffolds a starter project from a manifest, as `arc init` would, and zips it up
+// - `rawArc` is the packaged (.arc) manifest create works from; the zip gets `source`, as written, in its own format
+export async function starter ({ source, format, rawArc, inventory }) {
+  const { app } = inventory.inv
+  const plugins = (inventory.inv._project.arc.plugins || []).filter(plugin => typeof plugin === 'string')
+  // Within the sandbox project, so allowlisted plugins resolve
+  const folder = mkdtempSync(join(sandboxDir(), 'starter-'))
+  try {
+    writeFileSync(join(folder, 'app.arc'), rawArc)
+    const scaffold = await readInventory({ cwd: folder })
+    const outside = outsideProject(scaffold.inv, folder)
+    if (outside.length) {
+      const errors = outside.map(dir => `Function src must be within the project: ${relative(folder, dir)}`)
+      const err = Error(errors.join(', '))
+      err.ARC_ERRORS = { type: 'manifest', errors }
+      throw err
+    }
+    await create({ folder, cwd: folder, inventory: scaffold, name: app, install: false, standalone: false, update })
+    rmSync(join(folder, 'app.arc'))
+    writeFileSync(join(folder, filenames[format] || filenames.arc), source)
+    writeFileSync(join(folder, 'package.json'), `${JSON.stringify(packageJson(app, plugins), null, 2)}\n`)
+
+    // Generated handlers mention their own path (relative to wherever create ran), which should start at the project root
+    const tmp = new RegExp(`\\S*${basename(folder)}/`, 'g')
+    const zip = new JSZip()
+    for (const file of files(folder)) {
+      zip.file(`${app}/${relative(folder, file)}`, readFileSync(file, 'utf8').replace(tmp, ''))
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  }
+  finally {
+    rmSync(folder, { recursive: true, force: true })
+  }
+}
@@ -1,3 +1,4 @@
+// Root of the current docs version (see versionRoot() in src/views/docs/versions.mjs for older versions)
 export const currentRoot = '/docs/en/get-started/quickstart'
 
 // these are soft redirects, not forever/canonical
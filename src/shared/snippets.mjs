@@ -0,0 +1,22 @@
+import { createHash } from 'crypto'
+
+// Playground share payloads: `<format version>.<base64url(deflate-raw(JSON state))>`, as built by public/playground/share.js
+export const shareVersion = 1
+export const maxShareLength = 32 * 1024
+
+const sharePattern = /^(\d+)\.([\w-]+)$/
+
+export function validShare (share) {
+  if (typeof share !== 'string' || share.length > maxShareLength) return false
+  const match = share.match(sharePattern)
+  return Boolean(match) && Number(match[1]) <= shareVersion
+}
+
+export function validSnippetId (id) {
+  return typeof id === 'string' && /^[\w-]{10}$/.test(id)
+}
+
+// IDs are derived from content, so sharing the same manifest twice yields the same link
+export function snippetId (share) {
+  return createHash('sha256').update(share).digest('base64url').slice(0, 10)
+}
@@ -0,0 +1,19 @@
+// Docs languages, keyed by the `:lang` URL segment
+// - Markdown lives in src/views/docs/<lang>/, mirroring the English tree; missing pages fall back to English
+// - Sidebar labels are translated via an optional src/views/docs/<lang>/table-of-contents.mjs,
+//   which maps English table of contents entries to their translations, e.g. `{ Quickstart: 'Démarrage rapide' }`
+export const defaultLang = 'en'
+
+export default {
+  en: {
+    name: 'English',
+    labels: {},
+  },
+}
+
+// Swap the language of a docs path, e.g. /docs/en/guides/examples → /docs/fr/guides/examples
+export function localizePath (path = '', lang = defaultLang) {
+  const docsPath = /^\/docs\/[^/]+/
+  if (docsPath.test(path)) return path.replace(docsPath, `/docs/${lang}`)
+  return `/docs/${lang}/get-started/quickstart`
+}
@@ -0,0 +1,63 @@
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import { join } from 'path'
+import matter from 'gray-matter'
+import { defaultLang } from './languages.mjs'
+
+const docsDir = new URL('.', import.meta.url).pathname
+const manifestDocs = join('reference', 'project-manifest')
+
+// Completions for pragma contents, per the project manifest reference
+export const httpVerbs = [ 'get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'any' ]
+export const keyTypes = [ '*String', '**String', '*Number', '**Number' ]
+
+// Markdown → tooltip text: links become their text, HTML is dropped, and inline code is kept
+const tidy = line => line
+  .replace(/!?\[([^\]]*)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/^#{3,6}\s+/, '')
+  .trimEnd()
+
+// A doc's `## Syntax` (or `### Syntax`) section, as lines
+export function syntaxOf (content = '', limit = 16) {
+  const lines = []
+  let level = 0
+  let fence = false
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) fence = !fence
+    const heading = !fence && line.match(/^(#{1,6})\s+(.*)$/)
+    if (heading) {
+      // The section ends at the next heading of the same (or a higher) level
+      if (level && heading[1].length <= level) break
+      if (!level && heading[2].trim() === 'Syntax') {
+        level = heading[1].length
+        continue
+      }
+    }
+    if (!level || /^\[[^\]]+\]:/.test(line)) continue
+    const text = tidy(line)
+    // Collapse runs of blank lines
+    if (text || (lines.length && lines[lines.length - 1])) lines.push(text)
+  }
+  while (lines.length && !lines[lines.length - 1]) lines.pop()
+  return lines.length > limit ? lines.slice(0, limit).concat('…') : lines
+}
+
+// Hover docs for each pragma: [ { name, title, description, syntax, href } ]
+export function pragmaDocs (lang = defaultLang) {
+  const dir = existsSync(join(docsDir, lang, manifestDocs))
+    ? join(docsDir, lang, manifestDocs)
+    : join(docsDir, defaultLang, manifestDocs)
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.md'))
+    .map(file => {
+      const name = file.replace(/\.md$/, '')
+      const { data = {}, content } = matter(readFileSync(join(dir, file), 'utf8'))
+      return {
+        name,
+        title: `@${name}`,
+        description: tidy(data.description || ''),
+        syntax: syntaxOf(content),
+        href: `/docs/${lang}/reference/project-manifest/${name}`,
+      }
+    })
+}
@@ -0,0 +1,166 @@
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import { join, resolve, sep } from 'path'
+import { Arcdown } from 'arcdown'
+import matter from 'gray-matter'
+import anchor from 'markdown-it-anchor'
+import markdownItArcStaticImg from 'markdown-it-arc-static-img'
+import Html from '../modules/document/html.mjs'
+import CategoryIndex from '../modules/components/category-index.mjs'
+import TranslationNotice from '../modules/components/translation-notice.mjs'
+import VersionNotice from '../modules/components/version-notice.mjs'
+import capitalize from '../modules/helpers/capitalize.mjs'
+import slugify from '../modules/helpers/slugify.mjs'
+import { flattenAll } from '../modules/helpers/toc.mjs'
+import languages, { defaultLang } from './languages.mjs'
+import classMap from './markdown-class-mappings.mjs'
+import versions, { currentVersion, parseVersion, versionBase, versionPath, versionRoot } from './versions.mjs'
+
+export const docsDir = new URL('.', import.meta.url).pathname
+// Output of `npm run prerender`; lives alongside the docs so it ships with @views
+export const prerenderedDir = join(docsDir, '..', 'prerendered')
+
+const arcdown = new Arcdown({
+  hljs: { classString: 'hljs mb0 mb1-lg relative' },
+  plugins: { markdownItArcStaticImg },
+  pluginOverrides: {
+    markdownItClass: classMap,
+    markdownItToc: {
+      containerClass: 'toc',
+    },
+    markdownItAnchor: {
+      permalink: anchor.permalink.headerLink({
+        class: 'text-p1 text-h1 text-a2 no-underline underline-h',
+      }),
+    },
+  },
+})
+
+export function docPaths ({ lang, parts = [], docName }) {
+  const doc = `${docName}.md`
+  const active = join(
+    '/docs',
+    lang,
+    ...parts,
+    docName,
+  )
+  let editURL = 'https://github.com/architect/arc.codes/edit/main/src/views/docs/'
+  editURL += join(lang, ...parts, doc)
+
+  const filePath = join(docsDir, lang, ...parts, doc)
+
+  return { active, editURL, filePath }
+}
+
+// Untranslated pages in a supported language fall back to the default language
+function sourceLang ({ lang, parts, docName }) {
+  const { filePath } = docPaths({ lang, parts, docName })
+  if (existsSync(filePath) || lang === defaultLang || !languages[lang]) return lang
+  return defaultLang
+}
+
+// Directory URLs (e.g. /docs/en/guides/backend) are categories
+// - Only directories within the docs, as categories are listed (and their documents' front matter read)
+function isCategory ({ parts, docName }) {
+  const dir = resolve(docsDir, defaultLang, ...parts, docName || '')
+  const within = dir.startsWith(join(docsDir, defaultLang) + sep)
+  return !!docName && within && existsSync(dir) && !existsSync(`${dir}.md`)
+}
+
+// The same page in the current version, or the current version's root if it has no equivalent
+function currentEquivalent ({ lang, active }) {
+  const href = versionPath(active, currentVersion)
+  const file = join(docsDir, defaultLang, ...href.split('/').slice(3))
+  return existsSync(file) || existsSync(`${file}.md`) ? href : versionRoot(currentVersion, lang)
+}
+
+// Docs chrome shared by documents and category pages: the version's table of contents, plus a notice on older versions
+function versioned ({ lang, parts, docName, active }) {
+  const { version } = parseVersion(parts.concat([ docName ]))
+  const notice = version === currentVersion
+    ? ''
+    : VersionNotice({ version, href: currentEquivalent({ lang, active }) })
+  return { notice, toc: versions[version].toc, version }
+}
+
+// Throws if neither the markdown document nor a category exists
+export async function renderDoc ({ lang, parts = [], docName, path, active }) {
+  if (isCategory({ parts, docName })) return renderCategory({ lang, parts, docName, path })
+
+  active = active || docPaths({ lang, parts, docName }).active
+  const contentLang = sourceLang({ lang, parts, docName })
+  const { editURL, filePath } = docPaths({ lang: contentLang, parts, docName })
+  const md = readFileSync(filePath, 'utf8')
+  const result = await arcdown.render(md)
+  const { notice, toc, version } = versioned({ lang, parts, docName, active })
+  const html = notice + (contentLang === lang
+    ? result.html
+    : TranslationNotice({ lang }) + result.html)
+
+  return Html({
+    ...result,
+    active,
+    contentLang,
+    editURL,
+    html,
+    lang,
+    path: path || active,
+    scripts: [
+      '/index.js',
+      '/components/arc-viewer.js',
+      '/components/arc-tab.js',
+    ],
+    toc,
+    version,
+  })
+}
+
+// Category landing: the directory's own index.md if present, otherwise a listing of its contents
+async function renderCategory ({ lang, parts, docName, path }) {
+  const { active } = docPaths({ lang, parts, docName })
+  const dirParts = parts.concat([ docName ])
+  const index = { lang, parts: dirParts, docName: 'index' }
+  if (existsSync(docPaths({ ...index, lang: sourceLang(index) }).filePath)) {
+    return renderDoc({ ...index, active, path })
+  }
+
+  const { notice, toc, version } = versioned({ lang, parts, docName, active })
+  const tocItems = flattenAll({ data: toc, path: versionBase(lang, version) })
+  const tocIndex = href => {
+    const i = tocItems.findIndex(item => item.href === href)
+    return i === -1 ? Infinity : i
+  }
+  const group = tocItems.find(item => item.group && item.href === active)
+  const title = group?.name || capitalize(docName.replace(/-/g, ' '))
+
+  const entries = readdirSync(join(docsDir, defaultLang, ...dirParts), { withFileTypes: true })
+  const items = entries
+    .filter(entry => entry.isDirectory() || (entry.name.endsWith('.md') && entry.name !== 'index.md'))
+    .map(entry => {
+      const name = entry.name.replace(/\.md$/, '')
+      const child = entry.isDirectory()
+        ? { lang, parts: dirParts.concat([ name ]), docName: 'index' }
+        : { lang, parts: dirParts, docName: name }
+      const { filePath } = docPaths({ ...child, lang: sourceLang(child) })
+      const { data = {} } = existsSync(filePath) ? matter(readFileSync(filePath, 'utf8')) : {}
+      const href = `${active}/${name}`
+      const tocItem = tocItems.find(item => item.href === href)
+      return {
+        description: data.description,
+        href,
+        title: data.title || tocItem?.name || capitalize(name.replace(/-/g, ' ')),
+      }
+    })
+    .sort((a, b) => tocIndex(a.href) - tocIndex(b.href) || a.href.localeCompare(b.href))
+
+  return Html({
+    active,
+    html: notice + CategoryIndex({ items }),
+    lang,
+    path: path || active,
+    scripts: [ '/index.js' ],
+    slug: slugify(title),
+    title,
+    toc,
+    version,
+  })
+}
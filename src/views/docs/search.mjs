@@ -0,0 +1,150 @@
+import { existsSync, readdirSync, readFileSync } from 'fs'
+import { join, relative } from 'path'
+import matter from 'gray-matter'
+import languages, { defaultLang } from './languages.mjs'
+import versions, { currentVersion } from './versions.mjs'
+
+const docsDir = new URL('.', import.meta.url).pathname
+
+// Written by `npm run prerender`, next to the prerendered pages
+export const indexFile = lang => join(docsDir, '..', 'prerendered', `search-index.${lang}.json`)
+
+// Same rule arcdown uses for heading anchors
+const anchor = str => encodeURIComponent(String(str).trim().toLowerCase().replace(/\s+/g, '-'))
+
+// Markdown → plain text, good enough for matching and excerpts
+const plain = str => str
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/[`*_>#|]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+const identifiers = str => str.match(/[@$A-Za-z_][\w.$@:/-]{2,}/g) || []
+
+const tokenize = str => str.toLowerCase().split(/[^\w@.$-]+/).filter(Boolean)
+
+function findDocs (dir) {
+  if (!existsSync(dir)) return []
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) return findDocs(path)
+    return entry.name.endsWith('.md') ? [ path ] : []
+  })
+}
+
+// Splits a document into one entry per heading (plus its intro), each with its own anchor
+export function indexDoc ({ md, href }) {
+  const { data = {}, content } = matter(md)
+  const title = data.title || ''
+  const sections = []
+  let section = { href, title, heading: '', text: [], code: [] }
+  let fence = false
+
+  for (const line of content.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fence = !fence
+      continue
+    }
+    if (fence) {
+      section.code.push(...identifiers(line))
+      continue
+    }
+    const heading = line.match(/^#{1,6}\s+(.*)$/)
+    if (heading) {
+      sections.push(section)
+      const text = plain(heading[1])
+      section = { href: `${href}#${anchor(text)}`, title, heading: text, text: [], code: [] }
+      continue
+    }
+    for (const [ , code ] of line.matchAll(/`([^`]+)`/g)) section.code.push(...identifiers(code))
+    section.text.push(line)
+  }
+  sections.push(section)
+
+  return sections
+    .map(({ text, code, ...rest }) => ({
+      ...rest,
+      description: data.description || '',
+      text: plain(text.join(' ')),
+      code: [ ...new Set(code) ],
+    }))
+    .filter(({ heading, text }) => heading || text)
+}
+
+// Older versions' trees are left out, so results always point at the current docs
+const isArchived = doc => {
+  const [ first ] = doc.split('/')
+  return first !== currentVersion && !!versions[first]
+}
+
+// Every language gets the full tree; untranslated pages are indexed from the default language
+export function buildIndex (lang = defaultLang) {
+  const docs = {}
+  for (const source of new Set([ defaultLang, languages[lang] ? lang : defaultLang ])) {
+    const dir = join(docsDir, source)
+    for (const file of findDocs(dir)) {
+      const doc = relative(dir, file).replace(/\.md$/, '')
+      if (!isArchived(doc)) docs[doc] = file
+    }
+  }
+  return Object.entries(docs).flatMap(([ doc, file ]) => indexDoc({
+    md: readFileSync(file, 'utf8'),
+    href: `/docs/${lang}/${doc}`,
+  }))
+}
+
+function excerpt (text, terms, length = 160) {
+  const lower = text.toLowerCase()
+  const at = Math.max(0, Math.min(...terms.map(term => {
+    const i = lower.indexOf(term)
+    return i === -1 ? Infinity : i
+  })) - 40)
+  const start = Number.isFinite(at) ? at : 0
+  const snippet = text.slice(start, start + length)
+  return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`
+}
+
+// Every term must match somewhere; titles outrank headings, which outrank code and body text
+export function search (index = [], query = '', { limit = 10 } = {}) {
+  const terms = tokenize(query)
+  if (!terms.length) return []
+
+  const results = []
+  for (const entry of index) {
+    const fields = {
+      title: entry.title.toLowerCase(),
+      heading: entry.heading.toLowerCase(),
+      code: entry.code.join(' ').toLowerCase(),
+      text: `${entry.description} ${entry.text}`.toLowerCase(),
+    }
+    let score = 0
+    let matchedAll = true
+    for (const term of terms) {
+      const termScore =
+        (fields.title.includes(term) ? 10 : 0) +
+        (fields.heading.includes(term) ? 6 : 0) +
+        (fields.code.includes(term) ? 3 : 0) +
+        Math.min(fields.text.split(term).length - 1, 5)
+      if (!termScore) {
+        matchedAll = false
+        break
+      }
+      score += termScore
+    }
+    if (!matchedAll) continue
+    // Page intros are the canonical result for a page title match
+    if (!entry.heading) score += 1
+    results.push({
+      href: entry.href,
+      title: entry.title,
+      heading: entry.heading,
+      excerpt: excerpt(entry.text || entry.description, terms),
+      score,
+    })
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.href.localeCompare(b.href))
+    .slice(0, limit)
+}
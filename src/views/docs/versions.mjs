@@ -0,0 +1,47 @@
+import toc from './table-of-contents.mjs'
+
+// Architect major versions with docs, keyed by URL segment
+// - The current version is served unprefixed, e.g. /docs/en/reference/cli/deploy
+// - Older versions are served from /docs/<lang>/<version>/..., with Markdown in src/views/docs/<lang>/<version>/
+//   and their own table of contents (e.g. `v10: { name: 'v10', toc: v10Toc }`, importing src/views/docs/v10/table-of-contents.mjs)
+export const currentVersion = 'v11'
+
+const versions = {
+  v11: {
+    name: 'v11',
+    toc,
+  },
+}
+export default versions
+
+const root = '/get-started/quickstart'
+const docsPath = /^\/docs\/([^/]+)(?:\/([^/]+))?/
+
+// Splits an older version's segment off docs path parts, e.g. [ 'v10', 'reference', 'cli' ]
+export function parseVersion (parts = [], registry = versions) {
+  const [ first, ...rest ] = parts
+  if (first !== currentVersion && registry[first]) return { version: first, parts: rest }
+  return { version: currentVersion, parts }
+}
+
+// Docs path prefix for a language + version, e.g. [ 'docs', 'en', 'v10' ]
+export function versionBase (lang, version = currentVersion) {
+  return [ 'docs', lang ].concat(version === currentVersion ? [] : [ version ])
+}
+
+// The root (landing) doc of a version, e.g. /docs/en/v10/get-started/quickstart
+export function versionRoot (version = currentVersion, lang = 'en', registry = versions) {
+  const start = registry[version]?.root || root
+  return `/${versionBase(lang, version).join('/')}${start}`
+}
+
+// Swap the version of a docs path, e.g. /docs/en/v10/guides/examples → /docs/en/guides/examples
+export function versionPath (path = '', version = currentVersion, registry = versions) {
+  const match = path.match(docsPath)
+  if (!match) return versionRoot(version, 'en', registry)
+  const [ prefix, lang, segment ] = match
+  const { parts } = parseVersion(segment ? [ segment ] : [], registry)
+  const rest = path.slice(prefix.length)
+  const tail = `${parts.length ? `/${parts[0]}` : ''}${rest}`
+  return `/${versionBase(lang, version).join('/')}${tail}`
+}
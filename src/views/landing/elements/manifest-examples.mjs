@@ -1,27 +1,8 @@
-import { renderHelloWorld, renderArcCodes, renderKitchenSink } from '../support/render-examples.mjs'
-
-const {
-  arc: helloWorldArc,
-  arcLoc: helloWorldArcLoc,
-  cfLoc: helloWorldCfLoc,
-  cloudFormation: helloWorldCf,
-} = await renderHelloWorld()
-
-const {
-  arc: arcCodesArc,
-  arcLoc: arcCodesArcLoc,
-  cfLoc: arcCodesCfLoc,
-  cloudFormation: arcCodesCf,
-} = await renderArcCodes()
-
-const {
-  arc: kitchenSinkArc,
-  arcLoc: kitchenSinkArcLoc,
-  cfLoc: kitchenSinkCfLoc,
-  cloudFormation: kitchenSinkCf,
-} = await renderKitchenSink()
-
-export default function CloudFormation ({ html }) {
+import { exampleArticle } from '../support/example-article.mjs'
+
+// `examples` are rendered by the get-index handler (see renderExamples), as elements render synchronously
+export default function CloudFormation ({ html, state }) {
+  const { examples = [] } = state.store
   return html`
     <style>
       label {
@@ -37,9 +18,7 @@ export default function CloudFormation ({ html }) {
         }
       }
 
-      form:has([value="hello-world"]:checked) ~ #hello-world,
-      form:has([value="arc-codes"]:checked) ~ #arc-codes,
-      form:has([value="kitchen-sink"]:checked) ~ #kitchen-sink {
+      ${examples.map(({ id }) => `form:has([value="${id}"]:checked) ~ #${id}`).join(',\n      ')} {
         display: grid;
       }
 
@@ -48,6 +27,16 @@ export default function CloudFormation ({ html }) {
         max-block-size: 66dvh;
       }
 
+      textarea {
+        display: block;
+        inline-size: 100%;
+        border: 0;
+        border-radius: 0.5em;
+        font-family: monospace;
+        white-space: pre;
+        resize: vertical;
+      }
+
       pre::-webkit-scrollbar {
         inline-size: 8px;
         block-size: 8px;
@@ -83,63 +72,15 @@ export default function CloudFormation ({ html }) {
 
 
       <form class="flex flex-wrap gap0 text-1 font-semibold mbe2">
+        ${examples.map(({ id, title }, i) => `
         <label class="inline-flex align-items-center gap-4 pi0 pb-4">
-          <input type="radio" name="demo" value="hello-world" checked />
-          Hello world
-        </label>
-
-        <label class="inline-flex align-items-center gap-4 pi0 pb-4">
-          <input type="radio" name="demo" value="arc-codes" />
-          Arc.codes
-        </label>
-
-        <label class="inline-flex align-items-center gap-4 pi0 pb-4">
-          <input type="radio" name="demo" value="kitchen-sink" />
-          Kitchen sink
+          <input type="radio" name="demo" value="${id}"${i === 0 ? ' checked' : ''} />
+          ${title}
         </label>
+        `).join('')}
       </form>
 
-      <article id="hello-world" class="hidden col-1 col-2-lg gap0 align-items-start">
-        <div>
-          <h3 class="text1 tracking-1 font-medium">Architect manifest</h3>
-          <p class="text-1 mbe-2">${helloWorldArcLoc} lines of config</p>
-          ${helloWorldArc}
-        </div>
-
-        <div>
-          <h3 class="text1 tracking-1 font-medium">CloudFormation</h3>
-          <p class="text-1 mbe-2">${helloWorldCfLoc} lines of IaC template</p>
-          ${helloWorldCf}
-        </div>
-      </article>
-
-      <article id="arc-codes" class="hidden col-1 col-2-lg gap0 align-items-start">
-        <div>
-          <h3 class="text1 tracking-1 font-medium">Architect manifest</h3>
-          <p class="text-1 mbe-2">${arcCodesArcLoc} lines of config</p>
-          ${arcCodesArc}
-        </div>
-
-        <div>
-          <h3 class="text1 tracking-1 font-medium">CloudFormation</h3>
-          <p class="text-1 mbe-2">${arcCodesCfLoc} lines of IaC template</p>
-          ${arcCodesCf}
-        </div>
-      </article>
-
-      <article id="kitchen-sink" class="hidden col-1 col-2-lg gap0 align-items-start">
-        <div>
-          <h3 class="text1 tracking-1 font-medium">Architect manifest</h3>
-          <p class="text-1 mbe-2">${kitchenSinkArcLoc} lines of config</p>
-          ${kitchenSinkArc}
-        </div>
-
-        <div>
-          <h3 class="text1 tracking-1 font-medium">CloudFormation</h3>
-          <p class="text-1 mbe-2">${kitchenSinkCfLoc.toLocaleString()} lines of IaC template</p>
-          ${kitchenSinkCf}
-        </div>
-      </article>
+      ${examples.map(exampleArticle).join('')}
 
     </arc-container >
   `
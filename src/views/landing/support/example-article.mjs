@@ -0,0 +1,25 @@
+export const escape = str => String(str)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// One landing page example (see highlightExample): `arc` + `cloudFormation` are highlighted HTML; `data-arc` is the manifest source public/landing/examples.js edits
+export function exampleArticle (example) {
+  return `
+      <article id="${example.id}" class="hidden col-1 col-2-lg gap0 align-items-start" data-title="${escape(example.title)}" data-arc="${escape(example.source)}">
+        <div data-example="arc">
+          <h3 class="text1 tracking-1 font-medium">Architect manifest</h3>
+          <p class="text-1 mbe-2"><span data-loc="arc">${example.arcLoc}</span> lines of config</p>
+          ${example.arc}
+          <p class="text-1 mbs-2" data-example="status" role="status"></p>
+        </div>
+
+        <div data-example="cloudformation">
+          <h3 class="text1 tracking-1 font-medium">CloudFormation</h3>
+          <p class="text-1 mbe-2"><span data-loc="cloudformation">${example.cfLoc.toLocaleString()}</span> lines of IaC template</p>
+          ${example.cloudFormation}
+        </div>
+      </article>
+      `
+}
@@ -0,0 +1,50 @@
+import { readdirSync, readFileSync } from 'fs'
+import { join } from 'path'
+import inventory from '@architect/inventory'
+import pkg from '@architect/package'
+
+// Each example is one manifest: `<order>-<id>.arc`, with its title as the first line's comment, e.g. `# Hello world`
+export const examplesDir = new URL('../examples', import.meta.url).pathname
+
+export const getLoc = str => str.split('\n').filter(l => l !== '').length
+
+export function readExamples (dir = examplesDir) {
+  return readdirSync(dir)
+    .filter(file => /^\d+-[\w-]+\.arc$/.test(file))
+    .sort((a, b) => parseInt(a) - parseInt(b))
+    .map(file => {
+      const [ first, ...rest ] = readFileSync(join(dir, file), 'utf8').split('\n')
+      const title = first.match(/^#\s*(.+)$/)?.[1].trim()
+      return {
+        id: file.replace(/^\d+-/, '').replace(/\.arc$/, ''),
+        title: title || file,
+        arc: title ? rest.join('\n') : [ first, ...rest ].join('\n'),
+      }
+    })
+}
+
+// The template `arc deploy` would generate; packaged as if in Lambda, so paths are stable wherever this runs
+export async function packageExample ({ title, arc }) {
+  const inv = await inventory({ rawArc: arc, cwd: '/var/task', deployStage: 'staging' })
+  // The default Description includes the package version and a timestamp
+  return { ...pkg(inv), Description: `Example: ${title.toLowerCase()}` }
+}
+
+export async function examples (dir) {
+  return Promise.all(readExamples(dir).map(async example => {
+    const cloudformation = await packageExample(example)
+    return {
+      ...example,
+      cloudformation,
+      arcLoc: getLoc(example.arc),
+      cfLoc: getLoc(JSON.stringify(cloudformation, null, 2)),
+    }
+  }))
+}
+
+// Highlights an example's manifest + template with `render` (arcdown's, on the landing page); `source` keeps the manifest's text, for editing
+export async function highlightExample (example, render) {
+  const { html: arc } = await render('```arc\n' + example.arc + '\n```')
+  const { html: cloudFormation } = await render('```json\n' + JSON.stringify(example.cloudformation, null, 2) + '\n```')
+  return { ...example, source: example.arc, arc, cloudFormation }
+}
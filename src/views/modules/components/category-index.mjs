@@ -0,0 +1,20 @@
+export default function CategoryIndex (state = {}) {
+  const { items = [] } = state
+  return items.length ? `
+<ul class="list-none">
+  ${items.map(Item).join('')}
+</ul>
+` : `
+<p>Nothing here yet.</p>
+`
+}
+
+function Item (state = {}) {
+  const { description, href, title } = state
+  return `
+<li class="mb1">
+  <a href="${href}" class="font-semibold text-p1 text-h1 text-a2 no-underline">${title}</a>
+  ${description ? `<p class="mt-4">${description}</p>` : ''}
+</li>
+  `
+}
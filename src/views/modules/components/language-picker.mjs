@@ -0,0 +1,40 @@
+import languages, { localizePath } from '../../docs/languages.mjs'
+
+export default function LanguagePicker (state = {}) {
+  const { active = '', classes = '', lang = 'en' } = state
+  const codes = Object.keys(languages)
+  if (codes.length < 2) return ''
+
+  const links = codes.map(code => {
+    const isActive = code === lang
+    return `
+    <li>
+      <a
+        href="${localizePath(active, code)}"
+        hreflang="${code}"
+        lang="${code}"
+        class="block pt-4 pb-4 pl-1 pr-1 no-underline text-g0 text-h0${isActive ? ' font-semibold' : ''}"
+        ${isActive ? 'aria-current="page"' : ''}
+      >
+        ${languages[code].name}
+      </a>
+    </li>`
+  }).join('')
+
+  return `
+<details
+  class="
+    ${classes}
+    relative
+    text-g0
+    text-1
+    cursor-pointer
+  "
+>
+  <summary aria-label="Language" class="font-medium">${lang.toUpperCase()}</summary>
+  <ul class="absolute right0 list-none bg-g9 radius0 z1">
+    ${links}
+  </ul>
+</details>
+  `
+}
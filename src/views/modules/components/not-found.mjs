@@ -1,13 +1,28 @@
 export default function FourOFour (state = {}) {
-  const { term } = state
+  const { term, suggestions = [] } = state
   return `
 <div class="pt2 pt4-lg">
   <h3 class="text2-lg leading0">
     404: ${term ? `"${term}"` : 'that one'} is missing
   </h3>
+  ${suggestions.length ? Suggestions({ suggestions }) : ''}
   <p>
-    Try using the search.
+    ${suggestions.length ? 'Or try' : 'Try'} using the search.
   </p>
 </div>
 `
 }
+
+function Suggestions (state = {}) {
+  const { suggestions } = state
+  return `
+<p class="mt1">Did you mean:</p>
+<ul class="list-none mb1">
+  ${suggestions.map(({ href, title }) => `
+  <li class="mb-4">
+    <a href="${href}" class="text-p1 text-h1 text-a2 no-underline">${title}</a>
+  </li>
+  `).join('')}
+</ul>
+`
+}
@@ -1,18 +1,42 @@
 export default function Search (state = {}) {
   const { classes = '' } = state
   return `
-<input
-  type="search"
-  placeholder="Search..."
-  id="docsearch"
+<form
+  action="/api/search"
+  role="search"
   class="
     ${classes}
-    radius2
-    pt-3
-    pb-3
-    pl2
-    outline-none
+    relative
   "
-/>
+>
+  <input
+    type="search"
+    name="q"
+    placeholder="Search..."
+    id="docsearch"
+    autocomplete="off"
+    aria-controls="docsearch-results"
+    aria-expanded="false"
+    class="
+      radius2
+      pt-3
+      pb-3
+      pl2
+      outline-none
+    "
+  />
+  <ul
+    id="docsearch-results"
+    role="listbox"
+    class="
+      absolute
+      right0
+      list-none
+      radius2
+      overflow-auto
+    "
+    hidden
+  ></ul>
+</form>
 `
 }
@@ -1,7 +1,9 @@
 import listFromObject from '../helpers/list.mjs'
 import slugify from '../helpers/slugify.mjs'
+import languages from '../../docs/languages.mjs'
+import { currentVersion, versionBase } from '../../docs/versions.mjs'
 
-const map = {
+const getMap = ({ label, root }) => ({
   list: function List (state = {}) {
     const { children } = state
     return `
@@ -17,6 +19,7 @@ const map = {
   },
   item: function Item (state = {}) {
     const { child = '', children = [], depth, path, active } = state
+    const text = label(child)
     const isHeading = children.length
     const mb = isHeading ? 'mb1' : 'mb-4'
     const ml = path.length > 3 ? 'ml-1' : ''
@@ -29,33 +32,32 @@ const map = {
 >
   ${
   isHeading
-    ? Heading({ name: child, depth, path, active, children })
-    : Anchor({ name: child, depth, path, active })
-}
+    ? Heading({ name: child, text, depth, path, active, children, root })
+    : Anchor({ name: child, text, depth, path, active })
+  }
   ${depth >= 3 ? '' : children}
 </li>
     `
   },
-}
+})
+
+const toHref = (path, name) => `/${path.concat([ name ]).map((part) => slugify(part)).join('/')}`
 
 function Anchor (state = {}) {
-  const { name, path, active } = state
-  const uri = path
-    .concat([ name ])
-    .map((part) => slugify(part))
-    .join('/')
-  const href = `/${uri}`
+  const { name, text = name, path, active } = state
+  const href = toHref(path, name)
   const isActive = active === href
   const activeClass = isActive ? ' active' : ''
-  const text = isActive ? `→ ${name}` : name
+  const linkText = isActive ? `→ ${text}` : text
 
   return `
-<a href="${href}" class="w-full inline-block text-p1 text-h1 text-a2 no-underline font-normal${activeClass}">${text}</a>
+<a href="${href}" class="w-full inline-block text-p1 text-h1 text-a2 no-underline font-normal${activeClass}">${linkText}</a>
   `
 }
 
+// Category headings link to their category index page
 function Heading3 (state = {}) {
-  const { name } = state
+  const { name, text = name, path } = state
   return `
 <h3
   class="
@@ -64,14 +66,14 @@ function Heading3 (state = {}) {
    font-semibold
   "
 >
-  ${name}
+  <a href="${toHref(path, name)}" class="text-p1 text-h1 text-a2 no-underline">${text}</a>
 </h3>
 <hr class="border-solid border1 border-p1 mb-2">
   `
 }
 
 function Heading4 (state = {}) {
-  const { name } = state
+  const { name, text = name, path } = state
   return `
 <h4
   class="
@@ -80,16 +82,17 @@ function Heading4 (state = {}) {
    font-medium
   "
 >
-  ${name}
+  <a href="${toHref(path, name)}" class="text-p1 text-h1 text-a2 no-underline">${text}</a>
 </h4>
   `
 }
 
+// Groups link to their category page too; the +/- icons (and the rest of the summary) toggle the group
 function Group (state = {}) {
-  const { name, depth, active, children } = state
+  const { name, text = name, depth, path, active, children, root } = state
   const slug = slugify(name)
   const groupIsActive =
-    active.replace('/docs/en', '').split('/').indexOf(slug) === depth
+    active.replace(root, '').split('/').indexOf(slug) === depth
 
   return `
 <details
@@ -103,7 +106,7 @@ function Group (state = {}) {
   "
   ${groupIsActive ? 'open' : ''}
 >
-  <summary class="text-p1 mb-2 flex items-center">${name}
+  <summary class="text-p1 mb-2 flex items-center"><a href="${toHref(path, name)}" class="text-p1 text-h1 text-a2 no-underline">${text}</a>
     <span class="plus-icon inline icon fill-current pl-5">
       <svg style="vertical-align: baseline;">
         <use href="#plus"></use>
@@ -127,7 +130,11 @@ function Heading (state = {}) {
 }
 
 export default function Sidebar (props = {}) {
-  const { active, toc } = props
+  const { active, lang = 'en', toc, version = currentVersion } = props
+  const labels = languages[lang]?.labels || {}
+  // Docs paths are /docs/<lang>/[<version>/]...groups
+  const path = versionBase(lang, version)
+  const map = getMap({ label: name => labels[name] || name, root: `/${path.join('/')}` })
 
   return `
 <aside
@@ -147,7 +154,7 @@ export default function Sidebar (props = {}) {
     bg-g0
   "
 >
-  ${listFromObject({ data: toc, map, path: [ 'docs', 'en' ], active })}
+  ${listFromObject({ data: toc, map, path, active })}
 </aside>
   `
 }
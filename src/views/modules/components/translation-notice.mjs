@@ -0,0 +1,13 @@
+import languages, { defaultLang as fallbackLang } from '../../docs/languages.mjs'
+
+export default function TranslationNotice (state = {}) {
+  const { lang } = state
+  const language = languages[lang]?.name || lang
+  const fallback = languages[fallbackLang].name
+  return `
+<aside class="mb2 p0 radius0 bg-g1 text-g8" lang="${fallbackLang}">
+  This page has not yet been translated into ${language}, so the ${fallback} version is shown below.
+  <a href="/docs/${fallbackLang}/about/contribute" class="font-medium text-p1 text-h1">Help translate it</a>
+</aside>
+  `
+}
@@ -0,0 +1,12 @@
+import versions, { currentVersion as current } from '../../docs/versions.mjs'
+
+export default function VersionNotice (state = {}) {
+  const { version, href } = state
+  const name = versions[version]?.name || version
+  return `
+<aside class="mb2 p0 radius0 bg-g1 text-g8">
+  You are viewing docs for Architect ${name}, which is not the current version.
+  <a href="${href}" class="font-medium text-p1 text-h1">View the ${versions[current].name} docs</a>
+</aside>
+  `
+}
@@ -0,0 +1,38 @@
+import versions, { currentVersion, versionPath } from '../../docs/versions.mjs'
+
+export default function VersionPicker (state = {}) {
+  const { active = '', classes = '', version = currentVersion } = state
+  const names = Object.keys(versions)
+  if (names.length < 2) return ''
+
+  const links = names.map(name => {
+    const isActive = name === version
+    return `
+    <li>
+      <a
+        href="${versionPath(active, name)}"
+        class="block pt-4 pb-4 pl-1 pr-1 no-underline text-g0 text-h0${isActive ? ' font-semibold' : ''}"
+        ${isActive ? 'aria-current="page"' : ''}
+      >
+        ${versions[name].name}${name === currentVersion ? ' (current)' : ''}
+      </a>
+    </li>`
+  }).join('')
+
+  return `
+<details
+  class="
+    ${classes}
+    relative
+    text-g0
+    text-1
+    cursor-pointer
+  "
+>
+  <summary aria-label="Architect version" class="font-medium">${versions[version]?.name || version}</summary>
+  <ul class="absolute right0 list-none bg-g9 radius0 z1">
+    ${links}
+  </ul>
+</details>
+  `
+}
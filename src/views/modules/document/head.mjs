@@ -1,9 +1,10 @@
 import arc from '@architect/functions'
+import languages, { defaultLang, localizePath } from '../../docs/languages.mjs'
 
 const stripCode = str => str.replace(/\<\/?code\>/g, '')
 
 export default function Head (props = {}) {
-  const { category, description, lang = 'en', path, title } = props
+  const { active = '', category, description, path, title } = props
   const descriptionContent = description || 'Architect documentation'
   let fullTitle = ''
   if (category && title)
@@ -12,6 +13,13 @@ export default function Head (props = {}) {
     fullTitle += `${title} - `
   fullTitle += 'Architect documentation'
 
+  const alternates = active.startsWith('/docs/')
+    ? Object.keys(languages)
+      .map(code => `<link rel="alternate" hreflang="${code}" href="https://arc.codes${localizePath(active, code)}" />`)
+      .concat(`<link rel="alternate" hreflang="x-default" href="https://arc.codes${localizePath(active, defaultLang)}" />`)
+      .join('\n')
+    : ''
+
   return `
 <head>
 <!-- Primary meta -->
@@ -54,9 +62,8 @@ export default function Head (props = {}) {
 <!-- Canonical -->
 <link rel="canonical" href="https://arc.codes/${path}" />
 
-<!-- Algolia search -->
-<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/docsearch.js@2.6.3/dist/cdn/docsearch.min.css" />
-<meta name="docsearch:language" content="${lang}" />
+<!-- Translations -->
+${alternates}
 </head>
 `
 }
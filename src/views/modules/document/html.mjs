@@ -11,6 +11,7 @@ import TopNav from './top-nav.mjs'
 
 export default function HTML (props = {}) {
   const {
+    contentLang,
     html = '',
     editURL = '',
     lang = 'en',
@@ -46,7 +47,7 @@ ${Symbols}
       two-column
     "
   >
-    ${TopNav()}
+    ${TopNav(props)}
     ${Banner({ enabled: false })}
     ${Sidebar(props)}
     <main
@@ -75,7 +76,7 @@ ${Symbols}
         >
           ${title}
         </h1>
-        <div class="pb4 docs">
+        <div class="pb4 docs"${contentLang && contentLang !== lang ? ` lang="${contentLang}"` : ''}>
           ${html}
           ${EditLink({ editURL })}
         </div>
@@ -85,6 +86,7 @@ ${Symbols}
   </div>
   ${stateTag}
   ${scriptTags}
+  ${Script({ src: '/search.js' })}
   ${GoogleAnalytics()}
   ${thirdparty}
 </body>
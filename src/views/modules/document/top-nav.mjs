@@ -5,8 +5,11 @@ import GithubLink from '../components/github-link.mjs'
 import DiscordLink from '../components/discord-link.mjs'
 import TwitterLink from '../components/twitter-link.mjs'
 import ThemeButton from '../components/theme-button.mjs'
+import LanguagePicker from '../components/language-picker.mjs'
+import VersionPicker from '../components/version-picker.mjs'
 
-export default function TopNav () {
+export default function TopNav (props = {}) {
+  const { active, lang = 'en', version } = props
   return `
 <header
   class="
@@ -45,7 +48,7 @@ export default function TopNav () {
 
   <div class="hidden flex-lg items-center gap0 pl2 text-1">
     <a class="navButton font-medium text-g0 no-underline font-medium pl-1 pr-1" href="/">Home</a>
-    <a class="navButton font-medium text-g0 no-underline font-medium pl-1 pr-1 active" href="/docs/en/get-started/quickstart">Docs</a>
+    <a class="navButton font-medium text-g0 no-underline font-medium pl-1 pr-1 active" href="/docs/${lang}/get-started/quickstart">Docs</a>
   </div>
   <div
     class="
@@ -56,6 +59,8 @@ export default function TopNav () {
     "
   >
     ${Search({ classes: 'hidden inline-block-lg mr0' })}
+    ${VersionPicker({ active, version, classes: 'mr0' })}
+    ${LanguagePicker({ active, lang, classes: 'mr0' })}
     ${DiscordLink()}
     ${TwitterLink({ classes: 'ml0' })}
     ${GithubLink({ classes: 'ml0' })}
@@ -0,0 +1,80 @@
+import flattenToc from './toc.mjs'
+import slugify from './slugify.mjs'
+import { localizePath } from '../../docs/languages.mjs'
+
+// Levenshtein distance, normalized to a 0-1 similarity
+function similarity (a = '', b = '') {
+  if (!a.length || !b.length) return 0
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const row = [ i ]
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      row[j] = Math.min(row[j - 1] + 1, prev[j] + 1, prev[j - 1] + cost)
+    }
+    prev = row
+  }
+  return 1 - (prev[b.length] / Math.max(a.length, b.length))
+}
+
+function normalize (path = '') {
+  let decoded = path
+  try { decoded = decodeURIComponent(path) }
+  catch { /* malformed escapes are compared as-is */ }
+  return decoded
+    .toLowerCase()
+    .split('#')[0]
+    .replace(/^\/docs\/[^/]+/, '')
+    .replace(/\/+$/, '')
+}
+
+const lastSegment = path => path.split('/').pop()
+
+function score (term, candidate) {
+  const termSlug = lastSegment(term)
+  const candidateSlug = lastSegment(candidate)
+  // Partial slugs (e.g. "/http" → ".../http-functions") are strong hints
+  const contains = termSlug.length > 2 && candidateSlug.includes(termSlug) ? 0.8 : 0
+  return Math.max(
+    contains,
+    similarity(termSlug, candidateSlug),
+    // Whole-path matches count for less, since sibling pages share most of their path
+    similarity(term, candidate) * 0.8,
+  )
+}
+
+// Similarity is O(n·m), and every 404 runs it against every page and redirect, so longer paths (no docs URL is close) get no suggestions
+const maxTermLength = 200
+
+// Ranks existing docs pages by similarity to a missing path, using the table of contents and redirect maps
+export default function suggest ({ term = '', toc = {}, redirects = {}, lang = 'en', limit = 5, threshold = 0.6 }) {
+  if (term.length > maxTermLength) return []
+  const needle = normalize(term)
+  if (!needle) return []
+
+  const docs = flattenToc({ data: toc, path: [ 'docs', lang ] })
+  const titles = Object.fromEntries(docs.map(({ name, href }) => [ href, name ]))
+  const best = {}
+  const add = (href, value) => {
+    if (!best[href] || best[href] < value) best[href] = value
+  }
+
+  for (const { name, href } of docs) {
+    add(href, Math.max(score(needle, normalize(href)), similarity(lastSegment(needle), slugify(name))))
+  }
+  // Old URLs: a near-miss on a redirected path suggests its destination
+  for (const [ from, to ] of Object.entries(redirects)) {
+    if (!to.startsWith('/docs/')) continue
+    add(localizePath(to, lang), score(needle, normalize(from)))
+  }
+
+  return Object.entries(best)
+    .filter(([ , value ]) => value >= threshold)
+    .sort(([ a, x ], [ b, y ]) => y - x || a.localeCompare(b))
+    .slice(0, limit)
+    .map(([ href ]) => {
+      const [ page, hash ] = href.split('#')
+      const title = titles[page] || page
+      return { href, title: hash ? `${title} › ${hash}` : title }
+    })
+}
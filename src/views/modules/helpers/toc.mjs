@@ -0,0 +1,45 @@
+import slugify from './slugify.mjs'
+
+const toHref = path => `/${path.map(part => slugify(part)).join('/')}`
+
+// Flattens a table of contents into its linkable documents, using the same path rules as the sidebar
+export default function flattenToc ({ data = {}, path = [ 'docs', 'en' ] }) {
+  return flattenAll({ data, path }).filter(item => !item.group)
+}
+
+// Flattens a table of contents into its (category) groups
+export function flattenGroups ({ data = {}, path = [ 'docs', 'en' ] }) {
+  return flattenAll({ data, path }).filter(item => item.group)
+}
+
+// Groups and documents, in table of contents order
+export function flattenAll ({ data = {}, path = [ 'docs', 'en' ] }) {
+  return walk({ data, path })
+}
+
+function walk ({ data, path, parents = [] }) {
+  return Object.keys(data).flatMap(group => [
+    {
+      name: group,
+      parents,
+      href: toHref(path.concat([ group ])),
+      group: true,
+    },
+    ...fromArray({
+      children: data[group],
+      parents: parents.concat([ group ]),
+      path: path.concat([ group ]),
+    }),
+  ])
+}
+
+function fromArray ({ children = [], parents, path }) {
+  return children.flatMap(child => typeof child === 'string'
+    ? [ {
+      name: child,
+      parents,
+      href: toHref(path.concat([ child ])),
+    } ]
+    : walk({ data: child, path, parents }),
+  )
+}
@@ -0,0 +1,96 @@
+import test from 'tape'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { etag, fileExists, notModified, projectDir, projectFile, readArcData } from '../../src/shared/arc-data.mjs'
+
+const cwd = mkdtempSync(join(tmpdir(), 'arc-data-'))
+const manifest = {
+  app: 'viewer',
+  http: [ [ 'get', '/' ], { '/things': { method: 'post', src: 'src/things' } } ],
+  events: [ 'hi' ],
+  queues: [ 'work' ],
+  scheduled: [ [ 'daily', 'rate(1 day)' ] ],
+  ws: [],
+  tables: [ { data: { id: '*String', ttl: 'TTL' } } ],
+  'tables-indexes': [ { data: { email: '*String', name: 'byEmail' } } ],
+  'tables-streams': [ 'data' ],
+  static: { fingerprint: true },
+}
+
+test('Set up', t => {
+  writeFileSync(join(cwd, 'arc.json'), JSON.stringify(manifest))
+  mkdirSync(join(cwd, 'src', 'queues', 'work'), { recursive: true })
+  writeFileSync(join(cwd, 'src', 'queues', 'work', 'config.arc'), '@aws\ntimeout 30\n')
+  t.end()
+})
+
+test('projectDir', t => {
+  t.equal(projectDir({ ARC_SANDBOX: JSON.stringify({ cwd: '/project' }) }), '/project', 'uses the project root from Sandbox')
+  t.equal(projectDir({}), process.cwd(), 'falls back to the cwd')
+  t.end()
+})
+
+test('readArcData', async t => {
+  const data = await readArcData(cwd)
+  t.equal(data.app, 'viewer', 'app')
+  t.equal(data.manifest, 'arc.json', 'reads JSON manifests')
+  t.deepEqual(data.routes.map(({ method, path, src }) => [ method, path, src ]), [
+    [ 'get', '/', 'src/http/get-index' ],
+    [ 'post', '/things', 'src/things' ],
+  ], 'routes, with custom src paths')
+  t.deepEqual(data.lambdas.map(({ pragma, name }) => `${pragma}:${name}`), [
+    'events:hi', 'queues:work', 'scheduled:daily', 'ws:connect', 'ws:default', 'ws:disconnect', 'tables-streams:data',
+  ], 'every non-HTTP function')
+  const work = data.lambdas.find(({ name }) => name === 'work')
+  t.equal(work.configFile, 'src/queues/work/config.arc', 'config.arc is found')
+  t.equal(work.config.timeout, 30, 'config.arc overrides apply')
+  t.equal(data.lambdas.find(({ name }) => name === 'daily').schedule, 'rate(1 day)', 'schedule')
+  t.deepEqual(data.tables[0].indexes.map(({ name }) => name), [ 'byEmail' ], 'table indexes')
+  t.deepEqual(data.tables[0].streams, [ 'data' ], 'table streams')
+  t.equal(data.static.fingerprint, true, 'static settings')
+  t.equal(data.functions.length, 9, 'every function')
+  t.ok(data.functions.every(({ src, handlerFile }) => src && handlerFile.startsWith(src)), 'with its handler')
+  t.end()
+})
+
+test('readArcData without a manifest', async t => {
+  const empty = mkdtempSync(join(tmpdir(), 'arc-data-empty-'))
+  try {
+    await readArcData(empty)
+    t.fail('should throw')
+  }
+  catch (err) {
+    t.ok(err.notFound, err.message)
+  }
+  rmSync(empty, { recursive: true, force: true })
+  t.end()
+})
+
+test('etag / notModified', t => {
+  const tag = etag('{"app":"viewer"}')
+  t.equal(tag, etag('{"app":"viewer"}'), 'same body, same ETag')
+  t.notEqual(tag, etag('{"app":"other"}'), 'different body, different ETag')
+  t.ok(notModified(tag, tag), 'matches')
+  t.ok(notModified(`"nope", W/${tag}`, tag), 'matches weak tags in a list')
+  t.ok(notModified('*', tag), 'matches *')
+  t.notOk(notModified('"nope"', tag), 'does not match other tags')
+  t.notOk(notModified(undefined, tag), 'no header')
+  t.end()
+})
+
+test('projectFile / fileExists', t => {
+  t.equal(projectFile('src/queues/work/config.arc', cwd), join(cwd, 'src', 'queues', 'work', 'config.arc'), 'resolves project paths')
+  t.equal(projectFile('../elsewhere', cwd), null, 'refuses paths out of the project')
+  t.equal(projectFile('/etc/passwd', cwd), null, 'refuses absolute paths')
+  t.equal(projectFile(undefined, cwd), null, 'refuses missing paths')
+  t.deepEqual(fileExists('src/queues/work/config.arc', cwd), { path: 'src/queues/work/config.arc', exists: true, directory: false }, 'files')
+  t.deepEqual(fileExists('src/queues/work', cwd), { path: 'src/queues/work', exists: true, directory: true }, 'directories')
+  t.deepEqual(fileExists('src/queues/work/index.mjs', cwd), { path: 'src/queues/work/index.mjs', exists: false, directory: false }, 'missing files')
+  t.end()
+})
+
+test('Tear down', t => {
+  rmSync(cwd, { recursive: true, force: true })
+  t.end()
+})
@@ -0,0 +1,51 @@
+import test from 'tape'
+import inventory from '@architect/inventory'
+import { diagnose, warnings } from '../../src/shared/package/diagnostics.mjs'
+
+async function diagnostics (rawArc) {
+  try {
+    const inv = await inventory({ rawArc, deployStage: 'staging' })
+    return warnings(inv, rawArc)
+  }
+  catch (err) {
+    return diagnose(err, rawArc)
+  }
+}
+
+test('validation errors point at the offending line', async t => {
+  const [ error ] = await diagnostics('@app\nmyapp\n\n@http\nget /\nfoo /bar\n')
+  t.deepEqual(error, {
+    pragma: 'http',
+    line: 6,
+    column: 1,
+    message: 'Invalid @http method: foo /bar',
+    severity: 'error',
+  }, 'Locates the invalid route')
+
+  const [ table ] = await diagnostics('@app\nmyapp\n\n@tables\ndata\n  id *Strin\n')
+  t.equal(table.pragma, 'tables', 'Names the pragma')
+  t.equal(table.line, 5, 'Locates the invalid table')
+})
+
+test('parse errors keep their position', async t => {
+  const [ error ] = await diagnostics('@app\nmyapp\n@http\nget /\n  "unterminated\n')
+  t.deepEqual(error, {
+    pragma: 'http',
+    line: 5,
+    column: 3,
+    message: 'closing quote not found',
+    severity: 'error',
+  }, 'Reports the parser position')
+})
+
+test('unknown pragmas are warnings', async t => {
+  const result = await diagnostics('@app\nmyapp\n\n@tablez\ndata\n  id *String\n')
+  t.deepEqual(result, [ {
+    pragma: 'tablez',
+    line: 4,
+    column: 1,
+    message: 'Unknown pragma @tablez will be ignored',
+    severity: 'warning',
+  } ], 'Flags the typo')
+  t.deepEqual(diagnose(Error('boom')), [], 'Unexpected errors have no diagnostics')
+})
@@ -0,0 +1,60 @@
+import test from 'tape'
+import { existsSync, mkdtempSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import JSZip from 'jszip'
+import { load } from 'js-yaml'
+import { packageResponse } from '../../src/shared/package/index.mjs'
+
+const source = `@app
+myapp
+
+@http
+get /
+post /things
+`
+
+const request = accept => packageResponse({ source, headers: { accept } })
+
+test('YAML templates', async t => {
+  const res = await request('application/yaml')
+  t.equal(res.headers['content-type'], 'application/yaml; charset=utf8', 'responds with YAML')
+  const template = load(res.body)
+  t.ok(template.Resources.PostThingsHTTPLambda, 'YAML template has the same resources')
+  t.end()
+})
+
+test('Starter projects', async t => {
+  const res = await request('application/zip')
+  t.ok(res.isBase64Encoded, 'responds with a (base64-encoded) zip')
+  t.match(res.headers['content-disposition'], /filename="myapp\.zip"/, 'named after the app')
+  const zip = await JSZip.loadAsync(Buffer.from(res.body, 'base64'))
+  const files = Object.keys(zip.files).filter(name => !name.endsWith('/'))
+  t.deepEqual(files.sort(), [
+    'myapp/app.arc',
+    'myapp/package.json',
+    'myapp/src/http/get-index/index.mjs',
+    'myapp/src/http/post-things/index.mjs',
+  ], 'has the manifest, package.json, and scaffolded handlers')
+  t.notOk((await zip.file('myapp/src/http/get-index/index.mjs').async('string')).includes('arc-playground'), 'handlers don\'t mention where they were scaffolded')
+  t.end()
+})
+
+test('Starter projects only scaffold within the project', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'starter-escape-'))
+  const target = join(dir, 'evilsrc')
+  const escaping = `@app
+myapp
+
+@http
+/foo
+  method get
+  src ${'../'.repeat(20)}${target.slice(1)}
+`
+  const res = await packageResponse({ source: escaping, headers: { accept: 'application/zip' } })
+  t.equal(res.statusCode, 400, 'refuses the manifest')
+  t.match(JSON.parse(res.body).message, /must be within the project/, 'says why')
+  t.notOk(existsSync(target), 'nothing was written outside the project')
+  rmSync(dir, { recursive: true, force: true })
+  t.end()
+})
@@ -0,0 +1,41 @@
+import test from 'tape'
+import { packageResponse } from '../../src/shared/package/index.mjs'
+import { log, withTimeout } from '../../src/shared/package/limits.mjs'
+
+test('withTimeout', async t => {
+  t.equal(await withTimeout(Promise.resolve('done'), 50), 'done', 'passes results through')
+  try {
+    await withTimeout(new Promise(resolve => setTimeout(resolve, 200)), 10)
+    t.fail('expected a timeout')
+  }
+  catch (err) {
+    t.ok(err.timeout, 'flags timeouts')
+  }
+  t.end()
+})
+
+test('log', t => {
+  const { error } = console
+  let line
+  console.error = str => line = str
+  log({ event: 'package-failed', requestId: 'abc', error: Error('boom') })
+  console.error = error
+  const entry = JSON.parse(line)
+  t.equal(entry.level, 'error', 'logs errors')
+  t.equal(entry.requestId, 'abc', 'includes context')
+  t.equal(entry.error.message, 'boom', 'includes the error')
+  t.ok(entry.error.stack, 'keeps the stack for us')
+  t.end()
+})
+
+test('packageResponse errors', async t => {
+  const res = await packageResponse({ source: '@app\nmyapp\n\n@http\nfoo /bar\n' })
+  const body = JSON.parse(res.body)
+  t.equal(res.statusCode, 400, 'manifest problems are 400s')
+  t.ok(body.diagnostics.length, 'with diagnostics')
+  t.notOk(body.stack, 'without a stack trace')
+
+  const invalid = await packageResponse({ source: '@app\nmyapp\n', params: { stage: 'dev' } })
+  t.equal(invalid.statusCode, 400, 'invalid options are 400s')
+  t.end()
+})
@@ -0,0 +1,59 @@
+import test from 'tape'
+import { convert, detect, toArc } from '../../src/shared/package/manifest.mjs'
+
+const arc = `@app
+myapp
+
+@http
+get /
+post /api
+
+@aws
+region us-west-2
+`
+
+test('detect manifest formats', t => {
+  t.equal(detect(arc), 'arc', '.arc')
+  t.equal(detect('{ "app": "myapp" }'), 'json', 'JSON')
+  t.equal(detect('---\napp: myapp\n'), 'yaml', 'YAML')
+  t.equal(detect('[app]\nname = "myapp"\n'), 'toml', 'TOML')
+  t.end()
+})
+
+test('convert between manifest formats', t => {
+  const json = convert(arc, 'json')
+  t.equal(json, `{
+  "app": "myapp",
+  "http": [
+    ["get", "/"],
+    ["post", "/api"]
+  ],
+  "aws": {
+    "region": "us-west-2"
+  }
+}
+`, 'Converts to docs-style JSON')
+  const yaml = convert(arc, 'yaml')
+  t.ok(yaml.includes('  - [ get, / ]'), 'Converts to YAML with flow style tuples')
+  t.equal(toArc(json), arc, 'JSON round-trips to .arc')
+  t.equal(toArc(yaml), arc, 'YAML round-trips to .arc')
+  t.end()
+})
+
+test('manifest syntax errors', t => {
+  try {
+    toArc('[app]\nname = "myapp"\n')
+    t.fail('TOML should throw')
+  }
+  catch (err) {
+    t.equal(err.ARC_ERRORS.type, 'manifest', 'TOML is reported as a manifest error')
+  }
+  try {
+    toArc('app: myapp\nhttp:\n  - [ get, /\n', 'yaml')
+    t.fail('Invalid YAML should throw')
+  }
+  catch (err) {
+    t.match(err.ARC_ERRORS.errors[0], /\(line: 4 column: 1\)$/, 'YAML errors carry a position')
+  }
+  t.end()
+})
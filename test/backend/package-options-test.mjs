@@ -0,0 +1,58 @@
+import test from 'tape'
+import inventory from '@architect/inventory'
+import { packageOptions, resolved, withAws } from '../../src/shared/package/options.mjs'
+
+const arc = `@app
+myapp
+
+@http
+get /
+
+@aws
+region us-east-1
+runtime nodejs22.x
+`
+
+test('packageOptions', t => {
+  t.deepEqual(packageOptions({ arc }), { stage: 'staging', aws: {} }, 'defaults to staging, and the manifest\'s @aws settings')
+  t.deepEqual(
+    packageOptions({ stage: 'production', region: 'eu-west-1', architecture: 'x86_64', runtime: 'python3.12' }),
+    { stage: 'production', aws: { region: 'eu-west-1', architecture: 'x86_64', runtime: 'python3.12' } },
+    'reads stage and @aws overrides',
+  )
+  try {
+    packageOptions({ stage: 'dev', region: 'moon', architecture: 'm1', runtime: 'cobol' })
+    t.fail('expected invalid options to throw')
+  }
+  catch (err) {
+    t.equal(err.errors.length, 4, 'reports every invalid option')
+  }
+  try {
+    packageOptions({ region: 5, architecture: [ 'arm64' ], runtime: 5 })
+    t.fail('expected non-string options to throw')
+  }
+  catch (err) {
+    t.deepEqual(err.errors, [ 'Invalid region: 5', 'Invalid architecture: arm64 (use arm64 or x86_64)', 'Invalid runtime: 5' ], 'non-string options are invalid')
+  }
+  t.end()
+})
+
+test('withAws', async t => {
+  t.equal(withAws(arc, {}), arc, 'leaves the manifest alone without overrides')
+  const rawArc = withAws(arc, { region: 'eu-west-1', architecture: 'x86_64' })
+  const options = resolved(await inventory({ rawArc }), 'staging')
+  t.deepEqual(options, {
+    stage: 'staging',
+    region: 'eu-west-1',
+    architecture: 'x86_64',
+    runtime: 'nodejs22.x',
+  }, 'overrides replace @aws settings, and keep the rest')
+  try {
+    withAws('@app\nmyapp\n@http\nget "/\n', { region: 'eu-west-1' })
+    t.fail('expected a parse error')
+  }
+  catch (err) {
+    t.deepEqual(err.ARC_ERRORS.errors, [ 'closing quote not found (line: 4 column: 5)' ], 'parse errors are manifest errors')
+  }
+  t.end()
+})
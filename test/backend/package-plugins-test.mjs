@@ -0,0 +1,79 @@
+import test from 'tape'
+import { packageResponse } from '../../src/shared/package/index.mjs'
+import { allowPlugins, deployStart } from '../../src/shared/package/plugins.mjs'
+
+test('allowPlugins', t => {
+  const rawArc = `@app
+myapp
+
+@plugins
+enhance/arc-plugin-styles
+someone/else
+local
+  src ../../src/plugins/local
+
+@macros
+legacy
+`
+  const result = allowPlugins(rawArc)
+  t.ok(result.rawArc.includes('enhance/arc-plugin-styles'), 'keeps allowlisted plugins')
+  t.notOk(/someone|local|@macros/.test(result.rawArc), 'drops other plugins, local plugins, and macros')
+  t.deepEqual(result.skipped.map(({ name }) => name), [ 'someone/else', 'local' ], 'reports skipped plugins')
+
+  const plain = '@app\nmyapp\n'
+  t.equal(allowPlugins(plain).rawArc, plain, 'leaves plugin-free manifests alone')
+
+  try {
+    allowPlugins('@app\nmyapp\n@http\nget /{x\n')
+    t.fail('expected a parse error')
+  }
+  catch (err) {
+    t.deepEqual(err.ARC_ERRORS.errors, [ 'unknown character "{" (line: 4 column: 6)' ], 'parse errors are manifest errors')
+  }
+  t.end()
+})
+
+test('Packaging with an allowlisted plugin', async t => {
+  const source = '@app\nmyapp\n\n@http\nget /\n\n@plugins\nenhance/arc-plugin-styles\narchitect/plugin-node-prune\n'
+  const res = await packageResponse({ source })
+  const { template, diagnostics } = JSON.parse(res.body)
+  t.equal(res.statusCode, 200, 'packages the manifest')
+  t.ok(template.Resources.GetStyleguideHTTPLambda, 'includes the plugin\'s routes')
+  t.deepEqual(diagnostics.map(({ line, severity }) => [ line, severity ]), [ [ 9, 'warning' ] ], 'skips plugins with filesystem side effects')
+
+  const broken = await packageResponse({ source: `${source}\n@events\n"unterminated\n` })
+  t.equal(broken.statusCode, 400, 'syntax errors are the caller\'s to fix')
+  t.deepEqual(JSON.parse(broken.body).diagnostics.map(({ line, column }) => [ line, column ]), [ [ 12, 1 ] ], 'with their position')
+  t.end()
+})
+
+test('deployStart', async t => {
+  const hook = (fn, name) => Object.assign(fn, { _plugin: name, _type: 'plugin' })
+  const seen = []
+  const inventory = {
+    inv: {
+      app: 'myapp',
+      _project: { arc: {}, cwd: '/sandbox' },
+      lambdaSrcDirs: [ '/sandbox/src/http/get-index', '/node_modules/some-plugin/handler' ],
+      plugins: {
+        _methods: {
+          deploy: {
+            start: [
+              hook(async ({ cloudformation, dryRun, inventory, stackName }) => {
+                seen.push({ dryRun, stackName, dirs: inventory.inv.lambdaSrcDirs })
+                cloudformation.Resources.Extra = { Type: 'AWS::SNS::Topic' }
+                return cloudformation
+              }, 'adds-a-topic'),
+              hook(async () => { throw Error('boom') }, 'broken'),
+            ],
+          },
+        },
+      },
+    },
+  }
+  const { cloudformation, failed } = await deployStart({ inventory, cloudformation: { Resources: {} }, stage: 'production' })
+  t.deepEqual(seen, [ { dryRun: true, stackName: 'myappProduction', dirs: [ '/sandbox/src/http/get-index' ] } ], 'runs hooks as a dry run, with only the manifest\'s own function dirs')
+  t.ok(cloudformation.Resources.Extra, 'applies returned CloudFormation')
+  t.deepEqual(failed, [ { name: 'broken', message: 'boom' } ], 'reports failed hooks')
+  t.end()
+})
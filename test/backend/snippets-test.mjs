@@ -0,0 +1,27 @@
+import test from 'tape'
+import { maxShareLength, snippetId, validShare, validSnippetId } from '../../src/shared/snippets.mjs'
+
+test('validShare', t => {
+  t.ok(validShare('1.q1ZKLEpWslJySCwoiMnLrTy8pKBA4dGcyTF5'), 'accepts a v1 share')
+  t.notOk(validShare('2.q1ZKLEpWslJySCwo'), 'rejects share formats from the future')
+  t.notOk(validShare('q1ZKLEpWslJySCwo'), 'rejects unversioned shares')
+  t.notOk(validShare('1.<script>'), 'rejects non-base64url payloads')
+  t.notOk(validShare(`1.${'a'.repeat(maxShareLength)}`), 'rejects oversized shares')
+  t.notOk(validShare({ share: '1.abc' }), 'rejects non-strings')
+  t.end()
+})
+
+test('snippetId', t => {
+  const id = snippetId('1.abc')
+  t.equal(id, snippetId('1.abc'), 'same share, same id')
+  t.notEqual(id, snippetId('1.abd'), 'different share, different id')
+  t.match(id, /^[\w-]{10}$/, 'ids are short and URL-safe')
+  t.end()
+})
+
+test('validSnippetId', t => {
+  t.ok(validSnippetId(snippetId('1.abc')), 'accepts snippet ids')
+  t.notOk(validSnippetId('../../etc'), 'rejects anything else')
+  t.notOk(validSnippetId(undefined), 'rejects missing ids')
+  t.end()
+})
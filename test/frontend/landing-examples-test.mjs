@@ -0,0 +1,53 @@
+import test from 'tape'
+import { readdirSync } from 'fs'
+import ManifestExamples from '../../src/views/landing/elements/manifest-examples.mjs'
+import { examples, examplesDir, highlightExample } from '../../src/views/landing/support/examples.mjs'
+import { escape, exampleArticle } from '../../src/views/landing/support/example-article.mjs'
+
+// Stands in for arcdown's render: highlighted HTML, nothing like the source
+const render = async markdown => ({ html: `<pre class="hljs"><code><span class="hljs-section">${escape(markdown)}</span></code></pre>` })
+const unescape = str => str.replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&')
+
+test('Every manifest in the examples folder is on the landing page', async t => {
+  const all = await examples()
+  const files = readdirSync(examplesDir).filter(file => file.endsWith('.arc'))
+  t.equal(all.length, files.length, 'one example per manifest')
+  t.deepEqual(all.map(({ id }) => id), [ 'hello-world', 'arc-codes', 'kitchen-sink' ], 'examples are in order, by id')
+  t.equal(all[0].title, 'Hello world', 'title comes from the first line')
+  t.notOk(all[0].arc.includes('# Hello world'), 'title is not part of the manifest shown')
+  t.end()
+})
+
+// Fixed, so changes to what @architect/package emits (or how lines are counted) show up here, not just on the landing page
+const expectedLoc = {
+  'hello-world': { arc: 4, cloudformation: 369 },
+  'arc-codes': { arc: 12, cloudformation: 588 },
+  'kitchen-sink': { arc: 25, cloudformation: 1385 },
+}
+
+test('Rendered line counts match what @architect/package emits', async t => {
+  for (const example of await examples()) {
+    const article = exampleArticle(await highlightExample(example, render))
+    const shown = type => Number(article.match(new RegExp(`data-loc="${type}">([\\d,]+)<`))[1].replace(/,/g, ''))
+    t.deepEqual({ arc: shown('arc'), cloudformation: shown('cloudformation') }, expectedLoc[example.id], `${example.id}: lines of config + CloudFormation`)
+  }
+  t.end()
+})
+
+test('Examples render from state', async t => {
+  const highlighted = await Promise.all((await examples()).map(example => highlightExample(example, render)))
+  const html = (strings, ...values) => String.raw({ raw: strings }, ...values)
+  const markup = ManifestExamples({ html, state: { store: { examples: highlighted } } })
+  t.deepEqual([ ...markup.matchAll(/<article id="([\w-]+)"/g) ].map(([ , id ]) => id), Object.keys(expectedLoc), 'one article per example')
+  t.end()
+})
+
+test('Editable examples start from the manifest source, not its highlighted HTML', async t => {
+  for (const example of await examples()) {
+    const article = exampleArticle(await highlightExample(example, render))
+    const dataArc = unescape(article.match(/data-arc="([^"]*)"/)[1])
+    t.equal(dataArc, example.arc, `${example.id}: data-arc is the plain manifest`)
+    t.ok(article.includes('<pre class="hljs">'), `${example.id}: the highlighted manifest is shown`)
+  }
+  t.end()
+})
@@ -0,0 +1,28 @@
+import test from 'tape'
+import { defaultLang, localizePath } from '../../src/views/docs/languages.mjs'
+import Sidebar from '../../src/views/modules/components/sidebar.mjs'
+
+test('localize docs paths', t => {
+  t.equal(defaultLang, 'en', 'English is the default language')
+  t.equal(localizePath('/docs/en/guides/examples', 'fr'), '/docs/fr/guides/examples', 'Swaps the language segment')
+  t.equal(localizePath('/docs/fr/guides/examples'), '/docs/en/guides/examples', 'Defaults to the default language')
+  t.equal(localizePath('/some/missing/page', 'fr'), '/docs/fr/get-started/quickstart', 'Non-docs paths go to the quickstart')
+  t.end()
+})
+
+test('sidebar links stay in the current language', t => {
+  const toc = {
+    Guides: [ {
+      'Developer experience': [
+        'Local development',
+        { 'Continuous integration': [ 'GitHub Actions' ] },
+      ],
+    } ],
+  }
+  const active = '/docs/fr/guides/developer-experience/continuous-integration/github-actions'
+  const html = Sidebar({ active, lang: 'fr', toc })
+  t.ok(html.includes('href="/docs/fr/guides/developer-experience/local-development"'), 'Links use the current language')
+  t.ok(html.includes(`href="${active}" class="w-full inline-block text-p1 text-h1 text-a2 no-underline font-normal active"`), 'Marks the active doc')
+  t.match(html, /<details[^>]*\n\s*open\n>/, 'Opens the active group')
+  t.end()
+})
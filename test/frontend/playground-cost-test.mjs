@@ -0,0 +1,63 @@
+import test from 'tape'
+import { estimateCost, scheduledInvocations } from '../../public/playground/cost.js'
+
+test('scheduledInvocations rate expressions', t => {
+  t.equal(scheduledInvocations('rate(1 minute)'), 43200, 'every minute')
+  t.equal(scheduledInvocations('rate(5 minutes)'), 8640, 'every 5 minutes')
+  t.equal(scheduledInvocations('rate(1 hour)'), 720, 'hourly')
+  t.equal(scheduledInvocations('rate(1 day)'), 30, 'daily')
+  t.equal(scheduledInvocations('rate(7 days)'), 4, 'weekly, rounded')
+  t.end()
+})
+
+test('scheduledInvocations cron expressions', t => {
+  t.equal(scheduledInvocations('cron(0 12 * * ? *)'), 30, 'daily at noon')
+  t.equal(scheduledInvocations('cron(*/15 * * * ? *)'), 2880, 'every 15 minutes')
+  t.equal(scheduledInvocations('cron(5/15 * * * ? *)'), 2880, 'stepped from an offset')
+  t.equal(scheduledInvocations('cron(0,30 8-17 * * ? *)'), 600, 'lists and ranges')
+  t.equal(scheduledInvocations('cron(0 9 ? * MON-FRI *)'), 21, 'weekdays, by named day of week')
+  t.equal(scheduledInvocations('cron(0 0 1 * ? *)'), 1, 'monthly, by day of month')
+  t.equal(scheduledInvocations('cron(0 0 1/7 * ? *)'), 5, 'stepped day of month')
+  t.equal(scheduledInvocations('nonsense'), 0, 'unknown expressions')
+  t.equal(scheduledInvocations(), 0, 'missing expressions')
+  t.end()
+})
+
+test('estimateCost', t => {
+  const template = {
+    Resources: {
+      HTTP: { Type: 'AWS::Serverless::HttpApi' },
+      GetIndexHTTPLambda: { Type: 'AWS::Serverless::Function' },
+      PostIndexHTTPLambda: { Type: 'AWS::Serverless::Function', Properties: { MemorySize: 1024, Architectures: [ 'arm64' ] } },
+      NightlyScheduledLambda: { Type: 'AWS::Serverless::Function' },
+      NightlyScheduledEvent: { Type: 'AWS::Events::Rule', Properties: { ScheduleExpression: 'rate(1 day)' } },
+      PluginLambda: { Type: 'AWS::Serverless::Function' },
+      DataTable: { Type: 'AWS::DynamoDB::Table', Properties: { BillingMode: 'PROVISIONED' } },
+    },
+  }
+  const { lines, total } = estimateCost(template, { httpRequests: 2e6, duration: 1000 })
+  const line = id => lines.find(({ resource }) => resource === id)
+
+  t.deepEqual(lines.map(({ service, resource }) => `${service} ${resource}`), [
+    'Lambda GetIndexHTTPLambda',
+    'Lambda PostIndexHTTPLambda',
+    'Lambda NightlyScheduledLambda',
+    'Lambda PluginLambda',
+    'API Gateway HTTP',
+    'DynamoDB DataTable',
+  ], 'one line per billable resource')
+
+  // 1M requests, plus 1M × 1 s × 0.125 GB on x86 and 1M × 1 s × 1 GB on Arm
+  t.equal(line('GetIndexHTTPLambda').detail, '1,000,000 invocations × 1,000 ms × 128 MB (x86_64)', 'HTTP requests are split across HTTP functions')
+  t.equal(line('GetIndexHTTPLambda').monthly.toFixed(4), '2.2833', 'x86 function cost')
+  t.equal(line('PostIndexHTTPLambda').monthly.toFixed(4), '13.5334', 'Arm function cost')
+  t.equal(line('NightlyScheduledLambda').detail, '30 invocations × 1,000 ms × 128 MB (x86_64)', 'scheduled functions are invoked on their rule\'s schedule')
+  t.equal(line('PluginLambda').monthly, 0, 'unclassified functions are not estimated')
+  t.match(line('PluginLambda').detail, /not estimated/, 'unclassified functions say so')
+  t.equal(line('HTTP').monthly, 2, 'HTTP API requests')
+  t.match(line('DataTable').detail, /provisioned capacity not estimated/, 'provisioned tables only estimate storage')
+  t.equal(total, lines.reduce((sum, { monthly }) => sum + monthly, 0), 'total sums the lines')
+
+  t.deepEqual(estimateCost({}), { lines: [], total: 0 }, 'empty templates')
+  t.end()
+})
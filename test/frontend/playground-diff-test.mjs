@@ -0,0 +1,54 @@
+import test from 'tape'
+import { diffTemplates } from '../../public/playground/diff.js'
+
+const before = {
+  Description: 'Built at 10:00',
+  Resources: {
+    Kept: { Type: 'AWS::SNS::Topic', Properties: { TopicName: 'same' } },
+    Fn: {
+      Type: 'AWS::Serverless::Function',
+      Properties: { Timeout: 5, Environment: { Variables: { A: '1' } }, Layers: [ 'one', 'two' ], Tags: [ 'x' ] },
+    },
+    Gone: { Type: 'AWS::SQS::Queue' },
+  },
+  Outputs: { API: { Value: 'https://before' } },
+}
+
+const after = {
+  Description: 'Built at 10:05',
+  Resources: {
+    Kept: { Type: 'AWS::SNS::Topic', Properties: { TopicName: 'same' } },
+    Fn: {
+      Type: 'AWS::Serverless::Function',
+      Properties: { Timeout: 10, Environment: { Variables: { A: '1', B: '2' } }, Layers: [ 'one', 'three' ], Tags: [ 'x', 'y' ] },
+    },
+    New: { Type: 'AWS::DynamoDB::Table' },
+  },
+  Outputs: { API: { Value: 'https://after' } },
+}
+
+test('diffTemplates: added + removed resources', t => {
+  const diff = diffTemplates(before, after)
+  t.deepEqual(diff.added, [ { id: 'New', type: 'AWS::DynamoDB::Table' } ], 'added')
+  t.deepEqual(diff.removed, [ { id: 'Gone', type: 'AWS::SQS::Queue' } ], 'removed')
+  t.end()
+})
+
+test('diffTemplates: changed resources', t => {
+  const { changed } = diffTemplates(before, after)
+  t.deepEqual(changed.map(({ id }) => id), [ 'Fn' ], 'only resources with changes')
+  t.deepEqual(changed[0].changes, [
+    { path: 'Properties.Timeout', before: 5, after: 10 },
+    { path: 'Properties.Environment.Variables.B', before: undefined, after: '2' },
+    { path: 'Properties.Layers[1]', before: 'two', after: 'three' },
+    { path: 'Properties.Tags', before: [ 'x' ], after: [ 'x', 'y' ] },
+  ], 'leaf changes, by path; arrays that change length are one change')
+  t.end()
+})
+
+test('diffTemplates: outputs + descriptions', t => {
+  const diff = diffTemplates(before, after)
+  t.deepEqual(diff.outputs, [ { path: 'API.Value', before: 'https://before', after: 'https://after' } ], 'output changes')
+  t.deepEqual(diffTemplates(before, { ...before, Description: 'Built later' }), { added: [], removed: [], changed: [], outputs: [] }, 'description changes are ignored')
+  t.end()
+})
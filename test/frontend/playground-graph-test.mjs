@@ -0,0 +1,53 @@
+import test from 'tape'
+import { buildGraph } from '../../public/playground/graph.js'
+
+const template = {
+  Resources: {
+    HTTP: { Type: 'AWS::Serverless::HttpApi', Properties: { DefinitionBody: { 'Fn::Sub': 'arn:${GetIndexHTTPLambda.Arn}/invocations' } } },
+    GetIndexHTTPLambda: {
+      Type: 'AWS::Serverless::Function',
+      DependsOn: 'Role',
+      Properties: {
+        Role: { 'Fn::GetAtt': [ 'Role', 'Arn' ] },
+        Environment: { Variables: { TABLE: { Ref: 'DataTable' }, REGION: { Ref: 'AWS::Region' } } },
+      },
+    },
+    DataTable: { Type: 'AWS::DynamoDB::Table', Properties: { TableName: { Ref: 'DataTable' } } },
+    Role: { Type: 'AWS::IAM::Role', Properties: { Policies: [ { PolicyDocument: { Resource: { 'Fn::GetAtt': 'DataTable.Arn' } } } ] } },
+    Topic: {
+      Type: 'AWS::SNS::Topic',
+      DependsOn: [ 'Role', 'Missing' ],
+      Properties: { Name: { 'Fn::Sub': [ '${Prefix}-topic', { Prefix: { Ref: 'DataTable' } } ] } },
+    },
+    Custom: { Type: 'Custom::Thing' },
+  },
+}
+
+const edges = graph => graph.edges.map(({ from, to, kind }) => `${from} -${kind}-> ${to}`)
+
+test('buildGraph nodes', t => {
+  const { nodes } = buildGraph(template)
+  t.deepEqual(nodes.map(({ id, column }) => [ id, column ]), [
+    [ 'HTTP', 0 ],
+    [ 'GetIndexHTTPLambda', 1 ],
+    [ 'DataTable', 2 ],
+    [ 'Role', 3 ],
+    [ 'Topic', 2 ],
+    [ 'Custom', 4 ],
+  ], 'one node per resource, in columns by type')
+  t.deepEqual(buildGraph({}), { nodes: [], edges: [] }, 'empty templates')
+  t.end()
+})
+
+test('buildGraph edges', t => {
+  t.deepEqual(edges(buildGraph(template)), [
+    'HTTP -Sub-> GetIndexHTTPLambda',
+    'GetIndexHTTPLambda -GetAtt-> Role',
+    'GetIndexHTTPLambda -Ref-> DataTable',
+    'Role -GetAtt-> DataTable',
+    'Topic -Ref-> DataTable',
+    'Topic -DependsOn-> Role',
+  ], 'Ref, GetAtt (both forms), Sub (and its variables), and DependsOn')
+  t.notOk(buildGraph(template).edges.some(({ from, to }) => from === to), 'no self references')
+  t.end()
+})
@@ -0,0 +1,77 @@
+import test from 'tape'
+import { iamReport } from '../../public/playground/iam.js'
+
+const template = {
+  Resources: {
+    Role: {
+      Type: 'AWS::IAM::Role',
+      Properties: {
+        ManagedPolicyArns: [ { 'Fn::Sub': 'arn:${AWS::Partition}:iam::aws:policy/ReadOnlyAccess' } ],
+        Policies: [ {
+          PolicyName: 'ArcGlobalPolicy',
+          PolicyDocument: {
+            Statement: [
+              { Effect: 'Allow', Action: [ 'logs:CreateLogStream', 'logs:PutLogEvents' ], Resource: { 'Fn::Sub': 'arn:aws:logs:${AWS::Region}:*' } },
+              { Effect: 'Allow', Action: 'dynamodb:*', Resource: { 'Fn::GetAtt': [ 'DataTable', 'Arn' ] } },
+              { Effect: 'Allow', Action: 's3:GetObject', Resource: [ { 'Fn::Join': [ '', [ 'arn:aws:s3:::', { Ref: 'StaticBucket' }, '/index.html' ] ] } ] },
+              { Effect: 'Deny', Action: '*', Resource: '*', Condition: { Bool: { 'aws:SecureTransport': false } } },
+            ],
+          },
+        } ],
+      },
+    },
+    ArcParameterStorePolicy: {
+      Type: 'AWS::IAM::Policy',
+      Properties: {
+        Roles: [ { Ref: 'Role' } ],
+        PolicyDocument: { Statement: [ { Effect: 'Allow', NotAction: 'iam:*', Resource: '*' } ] },
+      },
+    },
+    OtherRole: { Type: 'AWS::IAM::Role', Properties: {} },
+    GetIndexHTTPLambda: { Type: 'AWS::Serverless::Function', Properties: { Role: { 'Fn::GetAtt': [ 'Role', 'Arn' ] } } },
+    PostIndexHTTPLambda: { Type: 'AWS::Serverless::Function', Properties: { Role: { 'Fn::GetAtt': 'Role.Arn' } } },
+    RefLambda: { Type: 'AWS::Lambda::Function', Properties: { Role: { Ref: 'OtherRole' } } },
+    SubLambda: { Type: 'AWS::Lambda::Function', Properties: { Role: { 'Fn::Sub': '${OtherRole.Arn}' } } },
+    // `OtherRole` here is the Sub's own variable, not the resource
+    ShadowedLambda: { Type: 'AWS::Lambda::Function', Properties: { Role: { 'Fn::Sub': [ '${OtherRole}', { OtherRole: 'arn:aws:iam::123:role/x' } ] } } },
+    SamLambda: { Type: 'AWS::Serverless::Function', Properties: {} },
+  },
+}
+
+test('iamReport role matching', t => {
+  const { roles, unassigned } = iamReport(template)
+  t.deepEqual(roles.map(({ id, functions }) => [ id, functions ]), [
+    [ 'Role', [ 'GetIndexHTTPLambda', 'PostIndexHTTPLambda' ] ],
+    [ 'OtherRole', [ 'RefLambda', 'SubLambda' ] ],
+  ], 'functions are matched to roles by GetAtt, Ref, and Sub')
+  t.deepEqual(unassigned, [ 'ShadowedLambda', 'SamLambda' ], 'functions without a role in the template')
+  t.deepEqual(roles[0].managed, [ 'arn:${AWS::Partition}:iam::aws:policy/ReadOnlyAccess' ], 'managed policies')
+  t.deepEqual(iamReport({}), { roles: [], unassigned: [] }, 'empty templates')
+  t.end()
+})
+
+test('iamReport statements', t => {
+  const [ role ] = iamReport(template).roles
+  const [ logs, dynamo, s3, deny, attached ] = role.statements
+  t.equal(role.statements.length, 5, 'inline and attached policy statements')
+
+  t.deepEqual(logs.services, [ 'CloudWatch Logs' ], 'services are named')
+  t.deepEqual(logs.wildcardActions, [], 'specific actions are not flagged')
+  t.deepEqual(logs.resources, [ { resource: 'arn:aws:logs:${AWS::Region}:*', wildcard: 'pattern' } ], 'resource patterns are flagged')
+
+  t.deepEqual(dynamo.wildcardActions, [ 'dynamodb:*' ], 'wildcard actions are flagged')
+  t.deepEqual(dynamo.resources, [ { resource: '${DataTable.Arn}', wildcard: null } ], 'GetAtt resources are shown')
+
+  t.deepEqual(s3.resources, [ { resource: 'arn:aws:s3:::${StaticBucket}/index.html', wildcard: null } ], 'Join resources are shown')
+
+  t.equal(deny.effect, 'Deny', 'deny statements')
+  t.ok(deny.conditional, 'conditional statements')
+  t.deepEqual(deny.services, [ 'All services' ], 'all services')
+  t.deepEqual(deny.resources, [ { resource: '*', wildcard: 'all resources' } ], 'all resources are flagged')
+
+  t.equal(attached.policy, 'ArcParameterStorePolicy', 'attached policies are named after their resource')
+  t.ok(attached.not, 'NotAction is flagged')
+
+  t.equal(role.wildcards, 3, 'wildcard count only includes Allow statements')
+  t.end()
+})
@@ -0,0 +1,45 @@
+import test from 'tape'
+import { pragmaDocs, syntaxOf } from '../../src/views/docs/pragmas.mjs'
+
+test('syntaxOf', t => {
+  const md = `Intro
+
+## Syntax
+
+- HTTP verb: see [the spec][rfc] or [MDN](https://developer.mozilla.org)
+- \`any\`<sup>1</sup>
+
+### Route paths
+
+- Must begin with a letter
+
+[rfc]: https://www.rfc-editor.org
+
+## Example
+
+\`\`\`arc
+@http
+get /
+\`\`\`
+`
+  t.deepEqual(syntaxOf(md), [
+    '- HTTP verb: see the spec or MDN',
+    '- `any`1',
+    '',
+    'Route paths',
+    '',
+    '- Must begin with a letter',
+  ], 'extracts the syntax section as text')
+  t.deepEqual(syntaxOf('## Example\n\n`@http`\n'), [], 'no syntax section, no syntax')
+  t.equal(syntaxOf(md, 2).length, 3, 'long sections are truncated')
+  t.end()
+})
+
+test('pragmaDocs', t => {
+  const http = pragmaDocs('en').find(({ name }) => name === 'http')
+  t.equal(http.title, '@http', 'titles pragmas')
+  t.equal(http.href, '/docs/en/reference/project-manifest/http', 'links to the reference')
+  t.ok(http.description, 'has the frontmatter description')
+  t.ok(http.syntax.some(line => line.includes('`get`')), 'has the syntax section')
+  t.end()
+})
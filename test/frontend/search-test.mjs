@@ -0,0 +1,41 @@
+import test from 'tape'
+import { indexDoc, search } from '../../src/views/docs/search.mjs'
+
+const md = `---
+title: Tables
+description: Configure DynamoDB tables
+---
+
+Architect provisions DynamoDB tables.
+
+## Getting data
+
+\`\`\`javascript
+let data = await arc.tables()
+\`\`\`
+
+## Writing data
+
+Use \`put\` to write a record.
+`
+
+test('index a document by heading', t => {
+  const index = indexDoc({ md, href: '/docs/en/tables' })
+  t.deepEqual(index.map(({ href }) => href), [
+    '/docs/en/tables',
+    '/docs/en/tables#getting-data',
+    '/docs/en/tables#writing-data',
+  ], 'One entry per heading, anchored like arcdown')
+  t.ok(index[1].code.includes('arc.tables'), 'Indexes code block identifiers')
+  t.equal(index[0].text, 'Architect provisions DynamoDB tables.', 'Strips markdown from body text')
+  t.end()
+})
+
+test('search ranks matching sections', t => {
+  const index = indexDoc({ md, href: '/docs/en/tables' })
+  t.equal(search(index, 'writing')[0].href, '/docs/en/tables#writing-data', 'Heading matches rank first')
+  t.equal(search(index, 'arc.tables')[0].href, '/docs/en/tables#getting-data', 'Finds code identifiers')
+  t.equal(search(index, 'tables nope').length, 0, 'Every term must match')
+  t.deepEqual(search(index, ''), [], 'Empty queries return nothing')
+  t.end()
+})
@@ -0,0 +1,49 @@
+import test from 'tape'
+import suggest from '../../src/views/modules/helpers/suggest.mjs'
+
+const toc = {
+  'Get Started': [
+    'Quickstart',
+    'Why Architect',
+  ],
+  Reference: [ {
+    'Project manifest': [
+      '@http',
+      '@tables',
+    ],
+  } ],
+}
+const redirects = {
+  '/intro/philosophy': '/docs/en/get-started/why-architect',
+  '/reference/data-get': '/docs/en/reference/runtime-helpers/node.js#arc.tables',
+}
+
+test('suggest close docs pages', t => {
+  t.deepEqual(
+    suggest({ term: '/docs/en/get-started/quikstart', toc }),
+    [ { href: '/docs/en/get-started/quickstart', title: 'Quickstart' } ],
+    'Suggests the page for a typo',
+  )
+  t.equal(
+    suggest({ term: '/docs/fr/reference/project-manifest/htp', toc, lang: 'fr' })[0].href,
+    '/docs/fr/reference/project-manifest/http',
+    'Ranks the closest page first, in the requested language',
+  )
+  t.deepEqual(suggest({ term: '/qwertyuiop', toc }), [], 'No suggestions for unrelated paths')
+  t.deepEqual(suggest({ term: `/docs/en/get-started/quikstart${'/a'.repeat(100)}`, toc }), [], 'No suggestions for overlong paths')
+  t.end()
+})
+
+test('suggest redirect destinations', t => {
+  t.deepEqual(
+    suggest({ term: '/intro/philosphy', toc, redirects }),
+    [ { href: '/docs/en/get-started/why-architect', title: 'Why Architect' } ],
+    'Old URLs suggest their redirect destination',
+  )
+  t.deepEqual(
+    suggest({ term: '/reference/data-gte', toc, redirects }),
+    [ { href: '/docs/en/reference/runtime-helpers/node.js#arc.tables', title: '/docs/en/reference/runtime-helpers/node.js › arc.tables' } ],
+    'Falls back to the destination path when it is not in the table of contents',
+  )
+  t.end()
+})
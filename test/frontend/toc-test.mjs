@@ -0,0 +1,53 @@
+import test from 'tape'
+import flattenToc, { flattenGroups } from '../../src/views/modules/helpers/toc.mjs'
+
+test('flatten table of contents', t => {
+  const data = {
+    'Get Started': [
+      'Quickstart',
+    ],
+    Reference: [ {
+      'Project manifest': [
+        '@app',
+        {
+          'Nested & grouped': [
+            'Deep doc',
+          ],
+        },
+      ],
+    } ],
+  }
+  const expected = [
+    {
+      name: 'Quickstart',
+      parents: [ 'Get Started' ],
+      href: '/docs/en/get-started/quickstart',
+    },
+    {
+      name: '@app',
+      parents: [ 'Reference', 'Project manifest' ],
+      href: '/docs/en/reference/project-manifest/app',
+    },
+    {
+      name: 'Deep doc',
+      parents: [ 'Reference', 'Project manifest', 'Nested & grouped' ],
+      href: '/docs/en/reference/project-manifest/nested-and-grouped/deep-doc',
+    },
+  ]
+  t.deepEqual(flattenToc({ data }), expected, 'Flattens nested groups into linkable docs')
+  t.equal(flattenToc({ data, path: [ 'docs', 'fr' ] })[0].href, '/docs/fr/get-started/quickstart', 'Respects the base path')
+  t.end()
+})
+
+test('flatten table of contents groups', t => {
+  const data = {
+    'Get Started': [ 'Quickstart' ],
+    Reference: [ { 'Project manifest': [ '@app' ] } ],
+  }
+  t.deepEqual(flattenGroups({ data }).map(({ href }) => href), [
+    '/docs/en/get-started',
+    '/docs/en/reference',
+    '/docs/en/reference/project-manifest',
+  ], 'Flattens groups into category pages')
+  t.end()
+})
@@ -0,0 +1,41 @@
+import test from 'tape'
+import { currentVersion, parseVersion, versionPath, versionRoot } from '../../src/views/docs/versions.mjs'
+import Sidebar from '../../src/views/modules/components/sidebar.mjs'
+
+const registry = {
+  [currentVersion]: { name: currentVersion },
+  v10: { name: 'v10' },
+}
+
+test('parse versioned docs paths', t => {
+  t.deepEqual(parseVersion([ 'v10', 'reference', 'cli' ], registry), { version: 'v10', parts: [ 'reference', 'cli' ] }, 'Splits off an older version')
+  t.deepEqual(parseVersion([ 'reference', 'cli' ], registry), { version: currentVersion, parts: [ 'reference', 'cli' ] }, 'Unprefixed paths are the current version')
+  t.deepEqual(parseVersion([ 'v9', 'reference' ], registry), { version: currentVersion, parts: [ 'v9', 'reference' ] }, 'Ignores unregistered versions')
+  t.end()
+})
+
+test('swap docs path versions', t => {
+  t.equal(versionPath('/docs/en/v10/guides/examples', currentVersion, registry), '/docs/en/guides/examples', 'Older → current')
+  t.equal(versionPath('/docs/fr/guides/examples', 'v10', registry), '/docs/fr/v10/guides/examples', 'Current → older, keeping the language')
+  t.equal(versionPath('/playground', 'v10', registry), '/docs/en/v10/get-started/quickstart', 'Non-docs paths go to the version root')
+  t.equal(versionRoot(currentVersion, 'en', registry), '/docs/en/get-started/quickstart', 'Current root is unprefixed')
+  t.equal(versionRoot('v10', 'fr', registry), '/docs/fr/v10/get-started/quickstart', 'Older roots are prefixed')
+  t.end()
+})
+
+test('sidebar links stay in the current version', t => {
+  const toc = {
+    Guides: [ {
+      'Developer experience': [
+        'Local development',
+        { 'Continuous integration': [ 'GitHub Actions' ] },
+      ],
+    } ],
+  }
+  const active = '/docs/en/v10/guides/developer-experience/continuous-integration/github-actions'
+  const html = Sidebar({ active, toc, version: 'v10' })
+  t.ok(html.includes('href="/docs/en/v10/guides/developer-experience/local-development"'), 'Links use the version prefix')
+  t.match(html, /<details[^>]*\n\s*open\n>/, 'Opens the active group')
+  t.match(html, /<summary[^>]*><a href="\/docs\/en\/v10\/guides\/developer-experience\/continuous-integration"/, 'Group titles link to their category page')
+  t.end()
+})